@@ -1,38 +1,88 @@
 const fs = require('fs');
 if (fs.existsSync('config.env')) require('dotenv').config({ path: './config.env' });
 
-function convertToBool(text, fault = 'true') {
-    return text === fault ? true : false;
+// `fallback` is the value used when the variable is unset; settings that were only
+// on when set to exactly "true" keep "false" so their defaults don't change
+function convertToBool(text, fallback = 'false') {
+    return String(text ?? fallback).trim().toLowerCase() === 'true';
 }
 
 module.exports = {
     SESSION_ID: process.env.SESSION_ID || "",
-    PREFIX: process.env.PREFIX || ".",
+    PAIRING_NUMBER: process.env.PAIRING_NUMBER || "", // log in with a pairing code instead of a QR when SESSION_ID is empty
+    PREFIX: process.env.PREFIX ?? ".", // one or more, space separated ("! ."); empty = . ! / #
+    NO_PREFIX_COMMANDS: process.env.NO_PREFIX_COMMANDS || "", // commands that also run without a prefix, e.g. "menu,alive"
+    MENTION_COMMANDS: convertToBool(process.env.MENTION_COMMANDS, "true"), // "@bot menu" in groups
+    UNKNOWN_COMMAND_REPLY: process.env.UNKNOWN_COMMAND_REPLY || "all", // all | private (silent in groups) | off
     BOT_NAME: process.env.BOT_NAME || "✦ Silva ✦ MD ✦",
-    AUTO_STATUS_REACT: convertToBool(process.env.AUTO_STATUS_REACT, "true"),
+    AUTO_STATUS_REACT: convertToBool(process.env.AUTO_STATUS_REACT, "false"),
     CUSTOM_REACT_EMOJIS: process.env.CUSTOM_REACT_EMOJIS || "💝,💖,💗,❤️‍🔥,❤️‍🩹,❤️,🩷,🧡,💛,💚,💙,🩵,💜,🤎,🖤,🩶,🤍",
     DELETE_LINKS: convertToBool(process.env.DELETE_LINKS, "false"),
     OWNER_NUMBER: process.env.OWNER_NUMBER || "254700143167",
+    OWNERS: process.env.OWNERS || "", // extra owners: "254700000000;Name,254711111111;Name"
     OWNER_NAME: process.env.OWNER_NAME || "✦ Silva ✦ MD ✦",
     DESCRIPTION: process.env.DESCRIPTION || "*© ✦ Silva ✦ MD ✦*",
     ALIVE_IMG: process.env.ALIVE_IMG || "https://files.catbox.moe/5uli5p.jpeg",
     LIVE_MSG: process.env.LIVE_MSG || "> SILVA MD IS ACTIVE ⚡",
     READ_MESSAGE: convertToBool(process.env.READ_MESSAGE, "false"),
-    AUTO_REACT_NEWSLETTER: convertToBool(process.env.AUTO_REACT_NEWSLETTER, "true"), // Newsletter auto-react
+    AUTO_REACT_NEWSLETTER: convertToBool(process.env.AUTO_REACT_NEWSLETTER, "false"), // Newsletter auto-react
     ANTI_BAD: convertToBool(process.env.ANTI_BAD, "false"),
-    AUTO_STATUS_SEEN: convertToBool(process.env.AUTO_STATUS_SEEN, "true"),
-    AUTO_STATUS_REPLY: convertToBool(process.env.AUTO_STATUS_REPLY, "true"),
+    ANTIBAD_WARN_LIMIT: Number(process.env.ANTIBAD_WARN_LIMIT || 3),
+    ANTIBAD_MUTE_MINUTES: Number(process.env.ANTIBAD_MUTE_MINUTES || 5),
+    AUTO_STATUS_SEEN: convertToBool(process.env.AUTO_STATUS_SEEN, "false"),
+    AUTO_STATUS_REPLY: convertToBool(process.env.AUTO_STATUS_REPLY, "false"),
     AUTO_STATUS_MSG: process.env.AUTO_STATUS_MSG || "*👀 Seen by Silva MD ✅*",
     MODE: process.env.MODE || "both", // both, public, or private
-    ALWAYS_ONLINE: convertToBool(process.env.ALWAYS_ONLINE, "true"),
-    AUTO_TYPING: convertToBool(process.env.AUTO_TYPING, "true"),
+    ALWAYS_ONLINE: convertToBool(process.env.ALWAYS_ONLINE, "false"),
+    AUTO_TYPING: convertToBool(process.env.AUTO_TYPING, "false"),
     AUTO_RECORDING: convertToBool(process.env.AUTO_RECORDING, "false"),
+
+    // Group Settings (defaults, admins can override per group)
+    WELCOME_MSG: convertToBool(process.env.WELCOME_MSG, "false"),
+    GOODBYE_MSG: convertToBool(process.env.GOODBYE_MSG, "false"),
+    ANTI_LINK: convertToBool(process.env.ANTI_LINK, "false"),
+    ANTILINK_WARN_LIMIT: Number(process.env.ANTILINK_WARN_LIMIT || 3),
     
     // Anti-Delete Settings
-    ANTIDELETE_GROUP: convertToBool(process.env.ANTIDELETE_GROUP, "true"),
-    ANTIDELETE_PRIVATE: convertToBool(process.env.ANTIDELETE_PRIVATE, "true"),
+    ANTIDELETE_GROUP: convertToBool(process.env.ANTIDELETE_GROUP, "false"),
+    ANTIDELETE_PRIVATE: convertToBool(process.env.ANTIDELETE_PRIVATE, "false"),
+
+    // Message Store Retention (hours, 0 = don't store)
+    STORE_RETENTION_GROUP: Number(process.env.STORE_RETENTION_GROUP || 24),
+    STORE_RETENTION_PRIVATE: Number(process.env.STORE_RETENTION_PRIVATE || 72),
+    STORE_RETENTION_STATUS: Number(process.env.STORE_RETENTION_STATUS || 6),
+    STORE_RETENTION_NEWSLETTER: Number(process.env.STORE_RETENTION_NEWSLETTER || 0),
+
+    // Rate Limiting (owners and sudo users are exempt)
+    RATE_LIMIT: convertToBool(process.env.RATE_LIMIT, "true"),
+    RATE_LIMIT_BURST: Number(process.env.RATE_LIMIT_BURST || 5), // commands in a burst
+    RATE_LIMIT_REFILL_SECONDS: Number(process.env.RATE_LIMIT_REFILL_SECONDS || 3), // one more command every N seconds
+    FLOOD_LIMIT: Number(process.env.FLOOD_LIMIT || 10), // commands per window before a user is ignored
+    FLOOD_WINDOW_SECONDS: Number(process.env.FLOOD_WINDOW_SECONDS || 10),
+    FLOOD_BLOCK_SECONDS: Number(process.env.FLOOD_BLOCK_SECONDS || 120),
+
+    // Outgoing Message Queue (applies to every send)
+    SEND_RATE_PER_MINUTE: Number(process.env.SEND_RATE_PER_MINUTE || 40), // 0 = unlimited
+    SEND_BURST: Number(process.env.SEND_BURST || 10),
+    SEND_MAX_RETRIES: Number(process.env.SEND_MAX_RETRIES || 3),
+
+    // Connection (reconnects back off up to 5 minutes; the owner hears about outages longer than this)
+    DOWNTIME_ALERT_MINUTES: Number(process.env.DOWNTIME_ALERT_MINUTES || 10),
     
+    // REST API (disabled while empty; send the key in the x-api-key header)
+    API_KEY: process.env.API_KEY || "",
+
+    // Webhooks (events are POSTed as JSON, signed with WEBHOOK_SECRET)
+    WEBHOOK_URLS: process.env.WEBHOOK_URLS || "", // comma separated
+    WEBHOOK_EVENTS: process.env.WEBHOOK_EVENTS || "*", // e.g. "message,command,group.*"
+    WEBHOOK_SECRET: process.env.WEBHOOK_SECRET || "",
+
+    // Logging (JSON lines in logs/, rotated daily and at LOG_MAX_SIZE_MB)
+    LOG_LEVEL: process.env.LOG_LEVEL || (convertToBool(process.env.DEBUG, "false") ? "debug" : "info"), // trace | debug | info | warn | error | fatal
+    LOG_MAX_SIZE_MB: Number(process.env.LOG_MAX_SIZE_MB || 10),
+    LOG_RETENTION_DAYS: Number(process.env.LOG_RETENTION_DAYS || 7),
+
     // Debug Settings
-    DEBUG: convertToBool(process.env.DEBUG, "true")
+    DEBUG: convertToBool(process.env.DEBUG, "false")
 };
 
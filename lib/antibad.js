@@ -0,0 +1,265 @@
+// lib/antibad.js — Profanity and custom-word filter
+const config = require('../config.js');
+const database = require('./database.js');
+const { isGroupAdmin } = require('./functions.js');
+const { logMessage } = require('./logger.js');
+const { messageStore } = require('./messageStore.js');
+const { groupCache } = require('./groupCache.js');
+
+const ACTIONS = ['delete', 'warn', 'mute', 'remove'];
+
+// Private chats share one settings entry managed by the owner
+const PRIVATE_KEY = 'private';
+
+const DEFAULT_WORDS = [
+    'fuck', 'fucker', 'fucking', 'motherfucker', 'shit', 'bullshit', 'bitch', 'bastard',
+    'asshole', 'dick', 'pussy', 'cunt', 'whore', 'slut', 'nigga', 'nigger', 'faggot',
+    'retard', 'wanker', 'twat', 'porn'
+];
+
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', $: 's', '!': 'i', '|': 'l', '+': 't' };
+
+// Emoji letter blocks: squared, negative circled and negative squared Latin capitals, regional indicators
+const EMOJI_LETTER_RANGES = [[0x1F130, 0x1F149], [0x1F150, 0x1F169], [0x1F170, 0x1F189], [0x1F1E6, 0x1F1FF]];
+
+function emojiLetter(char) {
+    const code = char.codePointAt(0);
+    for (const [start, end] of EMOJI_LETTER_RANGES) {
+        if (code >= start && code <= end) return String.fromCharCode(97 + code - start);
+    }
+    return char;
+}
+
+/**
+ * Normalise text so obfuscated words compare equal to plain ones.
+ * Handles fullwidth/styled Unicode, accents, zero-width characters,
+ * emoji letters, leetspeak, separators and repeated letters.
+ * `joined` also glues runs of single letters together ("f u c k", "f.u.c.k" -> "fuck")
+ * so spelled-out words still match on word boundaries.
+ * @param {string} text
+ * @returns {{ spaced: string, joined: string }}
+ */
+function normalize(text) {
+    const cleaned = Array.from(String(text || '').normalize('NFKC'))
+        .map(emojiLetter)
+        .join('')
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .replace(/[\u200B-\u200F\u2060\uFEFF\uFE0F]/g, '')
+        .toLowerCase()
+        // Look-alikes only count inside a word ("sh!t", "$hit", "d1ck", "shi7"), so "bitch!" keeps its "!"
+        .replace(/[0-9@$!|+]+/g, (run, offset, str) => {
+            const letterAfter = /\p{L}/u.test(str[offset + run.length] || '');
+            const digitsAfterLetter = /^\d+$/.test(run) && /\p{L}/u.test(str[offset - 1] || '');
+            return letterAfter || digitsAfterLetter ? run.replace(/./g, c => LEET[c] || c) : run;
+        });
+
+    const spaced = cleaned
+        .replace(/[^\p{L}]+/gu, ' ')
+        .replace(/(\p{L})\1+/gu, '$1')
+        .trim();
+
+    const joined = spaced
+        .replace(/(?<!\p{L})\p{L}(?: \p{L}(?!\p{L}))+/gu, run => run.replace(/ /g, ''))
+        .replace(/(\p{L})\1+/gu, '$1');
+
+    return { spaced, joined };
+}
+
+// Custom patterns run on every message, so keep them short (and sudo only, see silvaxlab/antibad.js)
+const MAX_REGEX_LENGTH = 60;
+
+function parseRegexEntry(entry) {
+    if (String(entry).length > MAX_REGEX_LENGTH + 2) return null;
+    const match = /^\/(.+)\/([gimsuy]*)$/.exec(entry);
+    if (!match) return null;
+    try {
+        return new RegExp(match[1], match[2].replace('g', '') || 'i');
+    } catch {
+        return null;
+    }
+}
+
+function settingsKey(jid, isGroup) {
+    return isGroup ? jid : PRIVATE_KEY;
+}
+
+function getSettings(key) {
+    const saved = database.getChat(key).antibad || {};
+    return {
+        enabled: saved.enabled ?? config.ANTI_BAD,
+        action: saved.action || 'delete',
+        useDefaults: saved.useDefaults ?? true,
+        words: saved.words || [],
+        limit: saved.limit ?? config.ANTIBAD_WARN_LIMIT,
+        muteMinutes: saved.muteMinutes ?? config.ANTIBAD_MUTE_MINUTES
+    };
+}
+
+function updateSettings(key, patch) {
+    const current = database.getChat(key).antibad || {};
+    database.updateChat(key, { antibad: { ...current, ...patch } });
+    return getSettings(key);
+}
+
+/**
+ * Find the first blocked word or pattern in a message
+ * @param {string} text
+ * @param {object} settings - from getSettings()
+ * @returns {string|null} the matching entry
+ */
+function findBadWord(text, settings) {
+    const { spaced, joined } = normalize(text);
+    const entries = [...(settings.useDefaults ? DEFAULT_WORDS : []), ...settings.words];
+
+    for (const entry of entries) {
+        const regex = parseRegexEntry(entry);
+        if (regex) {
+            if (regex.test(text) || regex.test(spaced)) return entry;
+            continue;
+        }
+
+        const word = normalize(entry).spaced;
+        if (!word) continue;
+        // Whole words only: "Scunthorpe" or "bit chat" must not match
+        if (` ${spaced} `.includes(` ${word} `) || ` ${joined} `.includes(` ${word} `)) return entry;
+    }
+    return null;
+}
+
+// Pending unmutes by group; the due time is also saved as antibad.unmuteAt so restarts keep it
+const muteTimers = new Map();
+let getSock = () => null;
+
+async function muteGroup(sock, jid, minutes) {
+    await sock.groupSettingUpdate(jid, 'announcement');
+    const unmuteAt = Date.now() + minutes * 60 * 1000;
+    updateSettings(jid, { unmuteAt });
+    armUnmute(jid, unmuteAt);
+}
+
+function armUnmute(jid, unmuteAt) {
+    clearTimeout(muteTimers.get(jid));
+    muteTimers.set(jid, setTimeout(() => unmuteGroup(jid), Math.max(0, unmuteAt - Date.now())));
+}
+
+// Uses the socket that is live when the timer fires; while offline the unmute waits for resumeUnmutes()
+async function unmuteGroup(jid) {
+    muteTimers.delete(jid);
+    const sock = getSock();
+    if (!sock) return;
+    try {
+        await sock.groupSettingUpdate(jid, 'not_announcement');
+        updateSettings(jid, { unmuteAt: null });
+    } catch (e) {
+        logMessage('WARN', `Anti-bad unmute failed for ${jid}: ${e.message}`);
+    }
+}
+
+/**
+ * Re-arm the unmutes saved in the database; overdue ones run right away.
+ * Call on startup and on every connection open.
+ * @param {Function} getter - returns the connected socket, or null while offline
+ */
+function resumeUnmutes(getter) {
+    getSock = getter;
+    for (const [jid, chat] of Object.entries(database.getData().chats)) {
+        if (chat.antibad?.unmuteAt) armUnmute(jid, chat.antibad.unmuteAt);
+    }
+}
+
+/**
+ * Enforce the word filter on a message
+ * @param {object} ctx - passive message context from the plugin dispatcher
+ * @returns {Promise<boolean>} true when the message was filtered
+ */
+async function enforce(ctx) {
+    const { sock, jid, sender, message, text, isGroup, isOwner } = ctx;
+    if (!text || isOwner || message.key.fromMe) return false;
+
+    const settings = getSettings(settingsKey(jid, isGroup));
+    if (!settings.enabled) return false;
+
+    const matched = findBadWord(text, settings);
+    if (!matched) return false;
+
+    const user = `@${sender.split('@')[0]}`;
+    logMessage('INFO', `Anti-bad matched "${matched}" from ${sender} in ${jid}`);
+
+    if (!isGroup) {
+        const count = database.addWarning(PRIVATE_KEY, sender, 'antibad');
+        if (settings.action === 'remove' && count >= settings.limit) {
+            await sock.sendMessage(jid, { text: '🚫 You have been blocked for repeated abusive language.' });
+            await sock.updateBlockStatus(sender, 'block');
+            database.resetWarnings(PRIVATE_KEY, sender, 'antibad');
+            return true;
+        }
+        await sock.sendMessage(jid, { text: `⚠️ Please keep it clean (${count}/${settings.limit}).` }, { quoted: message });
+        return true;
+    }
+
+    const metadata = ctx.groupMetadata || await groupCache.fetch(sock, jid).catch(() => null);
+    // Without the member list admins can't be told apart, so let the message through
+    if (!metadata?.participants?.length) {
+        logMessage('WARN', `Anti-bad skipped in ${jid}: group metadata unavailable`);
+        return false;
+    }
+    const participants = metadata.participants;
+    if (isGroupAdmin(participants, sender)) return false;
+
+    const botIsAdmin = isGroupAdmin(participants, sock.user?.id) || isGroupAdmin(participants, sock.user?.lid);
+    if (!botIsAdmin) {
+        await sock.sendMessage(jid, {
+            text: `⚠️ ${user}, please mind your language.\n_Make me an admin so I can enforce the word filter._`,
+            mentions: [sender]
+        });
+        return true;
+    }
+
+    messageStore.markModerated(message.key);
+    await sock.sendMessage(jid, { delete: message.key }).catch(e =>
+        logMessage('WARN', `Anti-bad delete failed: ${e.message}`));
+
+    switch (settings.action) {
+        case 'delete':
+            await sock.sendMessage(jid, { text: `🧹 ${user}, your message was removed.`, mentions: [sender] });
+            break;
+        case 'warn': {
+            const count = database.addWarning(jid, sender, 'antibad');
+            if (count >= settings.limit) {
+                await sock.groupParticipantsUpdate(jid, [sender], 'remove');
+                database.resetWarnings(jid, sender, 'antibad');
+                await sock.sendMessage(jid, { text: `🚫 ${user} was removed after ${count} warnings.`, mentions: [sender] });
+            } else {
+                await sock.sendMessage(jid, { text: `⚠️ ${user}, watch your language (${count}/${settings.limit}).`, mentions: [sender] });
+            }
+            break;
+        }
+        case 'mute':
+            await muteGroup(sock, jid, settings.muteMinutes);
+            await sock.sendMessage(jid, {
+                text: `🔇 ${user} used blocked language. Only admins can send messages for ${settings.muteMinutes} minute(s).`,
+                mentions: [sender]
+            });
+            break;
+        case 'remove':
+            await sock.groupParticipantsUpdate(jid, [sender], 'remove');
+            await sock.sendMessage(jid, { text: `🚫 ${user} was removed for abusive language.`, mentions: [sender] });
+            break;
+    }
+    return true;
+}
+
+module.exports = {
+    ACTIONS,
+    DEFAULT_WORDS,
+    normalize,
+    findBadWord,
+    parseRegexEntry,
+    MAX_REGEX_LENGTH,
+    settingsKey,
+    getSettings,
+    updateSettings,
+    resumeUnmutes,
+    enforce
+};
@@ -0,0 +1,145 @@
+// lib/anticall.js — Anti-call handler driven by anti-call-settings.json
+const fs = require('fs');
+const path = require('path');
+const config = require('../config.js');
+const { logMessage } = require('./logger.js');
+const roles = require('./roles.js');
+
+const settingsPath = path.join(__dirname, '..', 'anti-call-settings.json');
+
+const defaultSettings = {
+    rejectCalls: true,
+    blockCaller: false,
+    notifyAdmin: true,
+    autoReply: "Sorry, I don't accept calls. Please send a text message instead.",
+    blockedUsers: [],
+    adminNumber: `${config.OWNER_NUMBER}@s.whatsapp.net`
+};
+
+// Avoid flooding a caller who rings repeatedly with the same auto-reply
+const REPLY_COOLDOWN = 60 * 1000;
+const lastReplied = new Map();
+
+let settings = loadSettings();
+
+function loadSettings() {
+    try {
+        if (fs.existsSync(settingsPath)) {
+            const saved = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+            return { ...defaultSettings, ...saved };
+        }
+    } catch (e) {
+        logMessage('ERROR', `Anti-call settings unreadable, using defaults: ${e.message}`);
+    }
+    return { ...defaultSettings };
+}
+
+function saveSettings() {
+    try {
+        fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2) + '\n');
+    } catch (e) {
+        logMessage('ERROR', `Failed to save anti-call settings: ${e.message}`);
+    }
+}
+
+function getSettings() {
+    return settings;
+}
+
+function updateSettings(patch) {
+    settings = { ...settings, ...patch };
+    saveSettings();
+    return settings;
+}
+
+/**
+ * Normalise a phone number or JID to a user JID
+ * @param {string} input
+ * @returns {string|null}
+ */
+function toUserJid(input) {
+    if (!input) return null;
+    if (input.includes('@')) return input.replace(/:\d+(?=@)/, '');
+    const digits = input.replace(/\D/g, '');
+    return digits ? `${digits}@s.whatsapp.net` : null;
+}
+
+function getAdminJid() {
+    return toUserJid(settings.adminNumber) || `${config.OWNER_NUMBER}@s.whatsapp.net`;
+}
+
+async function notifyAdmin(sock, call, actions) {
+    const caller = call.from.split('@')[0];
+    const text = `📵 *Anti-Call Alert*\n\n` +
+        `👤 *Caller:* @${caller}\n` +
+        `📞 *Type:* ${call.isVideo ? 'Video' : 'Voice'}${call.isGroup ? ' (group)' : ''}\n` +
+        `🕒 *Time:* ${(call.date || new Date()).toLocaleString()}\n` +
+        `⚙️ *Action:* ${actions.join(', ') || 'none'}`;
+    await sock.sendMessage(getAdminJid(), { text, mentions: [call.from] });
+}
+
+/**
+ * Handle incoming call events according to the anti-call settings
+ * @param {object} sock - Baileys socket
+ * @param {Array} calls - payload of the 'call' event
+ */
+async function handleCalls(sock, calls) {
+    if (!Array.isArray(calls)) return;
+
+    for (const call of calls) {
+        if (call.status !== 'offer' || !call.from) continue;
+        if (!settings.rejectCalls) continue;
+
+        const caller = call.from;
+        if (roles.hasRole(roles.getRole(caller), 'sudo') || toUserJid(caller) === getAdminJid()) continue;
+
+        const actions = [];
+        try {
+            await sock.rejectCall(call.id, caller);
+            actions.push('rejected');
+            logMessage('INFO', `Rejected ${call.isVideo ? 'video' : 'voice'} call from ${caller}`);
+        } catch (e) {
+            logMessage('ERROR', `Failed to reject call from ${caller}: ${e.message}`);
+        }
+
+        // Already blocked callers only get the rejection
+        if (settings.blockedUsers.includes(caller)) continue;
+
+        const last = lastReplied.get(caller) || 0;
+        if (settings.autoReply && Date.now() - last > REPLY_COOLDOWN) {
+            try {
+                await sock.sendMessage(caller, { text: settings.autoReply });
+                lastReplied.set(caller, Date.now());
+                actions.push('auto-replied');
+            } catch (e) {
+                logMessage('WARN', `Anti-call auto-reply failed: ${e.message}`);
+            }
+        }
+
+        if (settings.blockCaller) {
+            try {
+                await sock.updateBlockStatus(caller, 'block');
+                updateSettings({ blockedUsers: [...settings.blockedUsers, caller] });
+                actions.push('blocked');
+                logMessage('INFO', `Blocked caller ${caller}`);
+            } catch (e) {
+                logMessage('ERROR', `Failed to block caller ${caller}: ${e.message}`);
+            }
+        }
+
+        if (settings.notifyAdmin) {
+            try {
+                await notifyAdmin(sock, call, actions);
+            } catch (e) {
+                logMessage('WARN', `Anti-call admin notification failed: ${e.message}`);
+            }
+        }
+    }
+}
+
+module.exports = {
+    handleCalls,
+    getSettings,
+    updateSettings,
+    toUserJid
+};
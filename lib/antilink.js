@@ -0,0 +1,125 @@
+// lib/antilink.js — Anti-link enforcement for groups
+const config = require('../config.js');
+const database = require('./database.js');
+const { getUrls, isGroupAdmin } = require('./functions.js');
+const { logMessage } = require('./logger.js');
+const { messageStore } = require('./messageStore.js');
+const { groupCache } = require('./groupCache.js');
+
+const ACTIONS = ['warn', 'delete', 'kick'];
+
+// WhatsApp group invites and channel links, with or without a scheme
+const INVITE_PATTERN = /(?:https?:\/\/)?chat\.whatsapp\.com\/(?:invite\/)?[0-9A-Za-z]{20,24}/gi;
+const CHANNEL_PATTERN = /(?:https?:\/\/)?(?:www\.)?whatsapp\.com\/channel\/[0-9A-Za-z]+/gi;
+// Scheme-less links such as "www.example.com" that isUrl does not catch
+const BARE_PATTERN = /\bwww\.[-a-zA-Z0-9@:%.+~#=]{1,256}\.[a-zA-Z]{2,6}\b[-a-zA-Z0-9()@:%+.~#?&/=]*/gi;
+
+function getSettings(jid) {
+    const saved = database.getChat(jid).antilink || {};
+    return {
+        enabled: saved.enabled ?? config.ANTI_LINK,
+        action: saved.action || (config.DELETE_LINKS ? 'delete' : 'warn'),
+        limit: saved.limit ?? config.ANTILINK_WARN_LIMIT,
+        invitesOnly: saved.invitesOnly ?? false,
+        whitelist: saved.whitelist || []
+    };
+}
+
+function updateSettings(jid, patch) {
+    const current = database.getChat(jid).antilink || {};
+    database.updateChat(jid, { antilink: { ...current, ...patch } });
+    return getSettings(jid);
+}
+
+function hostOf(link) {
+    try {
+        return new URL(/^https?:\/\//i.test(link) ? link : `http://${link}`).hostname.toLowerCase();
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Find links in a message that break the group's anti-link rules
+ * @param {string} text
+ * @param {object} settings - from getSettings()
+ * @returns {{ invites: string[], links: string[] }}
+ */
+function detectLinks(text, settings) {
+    const body = String(text || '');
+    const invites = [...(body.match(INVITE_PATTERN) || []), ...(body.match(CHANNEL_PATTERN) || [])];
+    if (settings.invitesOnly) return { invites, links: [] };
+
+    const allowed = settings.whitelist.map(d => d.toLowerCase());
+    const links = [...getUrls(body), ...(body.match(BARE_PATTERN) || [])]
+        .filter(link => !invites.some(invite => invite.includes(link) || link.includes(invite)))
+        .filter(link => {
+            const host = hostOf(link);
+            return !allowed.some(domain => host === domain || host.endsWith(`.${domain}`));
+        });
+
+    return { invites, links };
+}
+
+/**
+ * Enforce anti-link on a group message
+ * @param {object} ctx - passive message context from the plugin dispatcher
+ * @returns {Promise<boolean>} true when the message broke the rules
+ */
+async function enforce(ctx) {
+    const { sock, jid, sender, message, text, isGroup, isOwner } = ctx;
+    if (!isGroup || !text || isOwner || message.key.fromMe) return false;
+
+    const settings = getSettings(jid);
+    if (!settings.enabled) return false;
+
+    const { invites, links } = detectLinks(text, settings);
+    if (!invites.length && !links.length) return false;
+
+    const metadata = ctx.groupMetadata || await groupCache.fetch(sock, jid).catch(() => null);
+    // Without the member list admins can't be told apart, so let the message through
+    if (!metadata?.participants?.length) {
+        logMessage('WARN', `Anti-link skipped in ${jid}: group metadata unavailable`);
+        return false;
+    }
+    const participants = metadata.participants;
+    if (isGroupAdmin(participants, sender)) return false;
+
+    const botIsAdmin = isGroupAdmin(participants, sock.user?.id) || isGroupAdmin(participants, sock.user?.lid);
+    const user = `@${sender.split('@')[0]}`;
+    const kind = invites.length ? 'group invite links' : 'links';
+
+    if (settings.action !== 'warn' && botIsAdmin) {
+        messageStore.markModerated(message.key);
+        await sock.sendMessage(jid, { delete: message.key }).catch(e =>
+            logMessage('WARN', `Anti-link delete failed: ${e.message}`));
+    }
+
+    const count = database.addWarning(jid, sender, 'antilink');
+
+    if (settings.action === 'kick' && count >= settings.limit && botIsAdmin) {
+        try {
+            await sock.groupParticipantsUpdate(jid, [sender], 'remove');
+            database.resetWarnings(jid, sender, 'antilink');
+            await sock.sendMessage(jid, {
+                text: `🚫 ${user} was removed for sending ${kind} (${count}/${settings.limit} warnings).`,
+                mentions: [sender]
+            });
+            logMessage('INFO', `Anti-link removed ${sender} from ${jid}`);
+            return true;
+        } catch (e) {
+            logMessage('WARN', `Anti-link kick failed: ${e.message}`);
+        }
+    }
+
+    const limitNote = settings.action === 'kick' ? ` (${count}/${settings.limit})` : '';
+    const adminNote = settings.action !== 'warn' && !botIsAdmin ? '\n_Make me an admin so I can remove links._' : '';
+    await sock.sendMessage(jid, {
+        text: `⚠️ ${user}, ${kind} are not allowed in this group${limitNote}.${adminNote}`,
+        mentions: [sender]
+    });
+    logMessage('INFO', `Anti-link warned ${sender} in ${jid} (${count})`);
+    return true;
+}
+
+module.exports = { ACTIONS, getSettings, updateSettings, detectLinks, enforce };
@@ -0,0 +1,255 @@
+// lib/api.js — Authenticated REST API for sending messages and managing the bot
+//
+// Every request needs the API_KEY in an `x-api-key` (or `Authorization: Bearer`) header.
+//   GET   /api/status                     connection and reconnect state, uptime, plugin and queue counts
+//   POST  /api/send                       { jid|number, text } or { jid|number, image|video|audio|document|sticker: { url|base64 }, caption }
+//   GET   /api/chats                      chats seen in the message store plus known groups
+//   GET   /api/groups[?refresh=1]         cached groups
+//   GET   /api/groups/:jid[?refresh=1]    full group metadata
+//   GET   /api/plugins                    loaded and failed plugins
+//   POST  /api/plugins/reload             { name? } reload one or all plugins
+//   POST  /api/plugins/:name/disable|enable
+//   GET   /api/config                     config values (secrets masked and listed in `secrets`)
+//   PATCH /api/config                     { KEY: value, ... } persisted to config.env (`untilRestart` lists keys the host env overrides)
+const crypto = require('crypto');
+const express = require('express');
+const config = require('../config.js');
+const configManager = require('./configManager.js');
+const { messageStore } = require('./messageStore.js');
+const { groupCache } = require('./groupCache.js');
+const { messageQueue } = require('./messageQueue.js');
+const { normalizeJid } = require('./roles.js');
+const { logMessage } = require('./logger.js');
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+// Error carrying the HTTP status to answer with
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+
+// Compare keys in constant time (hashing first makes the lengths equal)
+function keyMatches(given) {
+    return !!given && crypto.timingSafeEqual(digest(given), digest(config.API_KEY));
+}
+
+function authenticate(req, res, next) {
+    if (!config.API_KEY) {
+        return res.status(503).json({ error: 'API disabled: set API_KEY to enable it' });
+    }
+    const bearer = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!keyMatches(req.get('x-api-key') || bearer)) {
+        logMessage('WARN', `API: rejected request to ${req.method} ${req.originalUrl} from ${req.ip}`);
+        return res.status(401).json({ error: 'Invalid or missing API key' });
+    }
+    next();
+}
+
+/**
+ * Connection state, uptime, plugin and queue counts (shared with the live dashboard)
+ * @param {object} options - same options as createApi()
+ * @returns {object}
+ */
+function getStatus({ getSock, plugins, supervisor }) {
+    const sock = getSock();
+    return {
+        connected: !!sock,
+        user: sock?.user ? { id: sock.user.id, name: sock.user.name } : null,
+        uptime: Math.floor(process.uptime()),
+        mode: config.MODE,
+        connection: supervisor ? supervisor.status() : null,
+        plugins: { loaded: plugins.plugins.size, failed: plugins.errors.size, disabled: plugins.disabled.size },
+        queue: messageQueue.getMetrics()
+    };
+}
+
+// Wrap async route handlers so thrown errors reach the error middleware
+const route = handler => (req, res, next) => Promise.resolve(handler(req, res)).catch(next);
+
+/**
+ * Build Baileys message content from a /send request body.
+ * Media is given as { url } (http/https only) or { base64 }, or a bare URL string.
+ * @param {object} body
+ * @returns {object}
+ */
+function buildContent(body) {
+    const type = MEDIA_TYPES.find(t => body[t]);
+    if (!type) {
+        if (typeof body.text !== 'string' || !body.text.trim()) throw new ApiError(400, 'Provide "text" or one of: ' + MEDIA_TYPES.join(', '));
+        return { text: body.text, ...(Array.isArray(body.mentions) && { mentions: body.mentions.map(normalizeJid) }) };
+    }
+
+    const source = typeof body[type] === 'string' ? { url: body[type] } : body[type];
+    let media;
+    if (source.base64) {
+        media = Buffer.from(source.base64, 'base64');
+    } else if (/^https?:\/\//i.test(source.url || '')) {
+        // Baileys also reads local paths from `url`, so only remote URLs are accepted
+        media = { url: source.url };
+    } else {
+        throw new ApiError(400, `"${type}" needs an http(s) "url" or "base64" data`);
+    }
+
+    const content = { [type]: media };
+    const caption = body.caption ?? body.text;
+    if (caption && ['image', 'video', 'document'].includes(type)) content.caption = caption;
+    if (source.mimetype || body.mimetype) content.mimetype = source.mimetype || body.mimetype;
+    if (type === 'document') content.fileName = source.fileName || body.fileName || 'file';
+    return content;
+}
+
+/**
+ * Create the /api router
+ * @param {object} options
+ * @param {Function} options.getSock - returns the connected socket, or null while offline
+ * @param {object} options.plugins - PluginManager instance
+ * @param {object} [options.supervisor] - ConnectionSupervisor, for reconnect state in /status
+ * @returns {express.Router}
+ */
+function createApi(options) {
+    const { getSock, plugins } = options;
+    const router = express.Router();
+    router.use(express.json({ limit: '20mb' }));
+    router.use(authenticate);
+
+    const requireSock = () => {
+        const sock = getSock();
+        if (!sock) throw new ApiError(503, 'Not connected to WhatsApp');
+        return sock;
+    };
+
+    // ---- Connection state
+    router.get('/status', (req, res) => res.json(getStatus(options)));
+
+    // ---- Messaging
+    router.post('/send', route(async (req, res) => {
+        const body = req.body || {};
+        const jid = normalizeJid(body.jid || body.to || body.number);
+        if (!jid) throw new ApiError(400, 'Provide "jid" or "number"');
+        const content = buildContent(body);
+        const sent = await requireSock().sendMessage(jid, content);
+        logMessage('INFO', `API: sent ${Object.keys(content)[0]} to ${jid}`);
+        res.json({ ok: true, jid, id: sent?.key?.id || null });
+    }));
+
+    // ---- Chats and groups
+    router.get('/chats', (req, res) => {
+        const chats = messageStore.listChats().map(chat => ({
+            ...chat,
+            name: chat.type === 'group' ? groupCache.get(chat.jid)?.subject || null : null
+        }));
+        const known = new Set(chats.map(c => c.jid));
+        for (const [jid, { metadata }] of groupCache.groups) {
+            if (!known.has(jid)) chats.push({ jid, type: 'group', name: metadata.subject || null, messages: 0, lastMessageAt: null });
+        }
+        res.json({ chats });
+    });
+
+    router.get('/groups', route(async (req, res) => {
+        if (req.query.refresh) await groupCache.warm(requireSock());
+        const groups = [...groupCache.groups.values()].map(({ metadata }) => ({
+            id: metadata.id,
+            subject: metadata.subject,
+            size: metadata.size ?? metadata.participants?.length ?? 0,
+            announce: !!metadata.announce
+        }));
+        res.json({ groups });
+    }));
+
+    router.get('/groups/:jid', route(async (req, res) => {
+        const jid = req.params.jid.includes('@') ? req.params.jid : `${req.params.jid}@g.us`;
+        if (!jid.endsWith('@g.us')) throw new ApiError(400, 'Not a group JID');
+        const metadata = await groupCache.fetch(requireSock(), jid, { force: !!req.query.refresh })
+            .catch(e => { throw new ApiError(404, `Group not found: ${e.message}`); });
+        res.json({ group: metadata });
+    }));
+
+    // ---- Plugins
+    router.get('/plugins', (req, res) => {
+        const list = [...plugins.plugins.values()].map(p => ({
+            id: p.id,
+            enabled: plugins.isEnabled(p),
+            command: p.command ? p.command.source : null,
+            help: p.help[0] || null,
+            role: p.role
+        }));
+        const failed = [...plugins.errors].map(([id, error]) => ({ id, error }));
+        res.json({ plugins: list, failed });
+    });
+
+    router.post('/plugins/reload', (req, res) => {
+        const name = req.body?.name;
+        if (name && !plugins.resolve(name).length) throw new ApiError(404, `No plugin named "${name}"`);
+        res.json(plugins.reload(name));
+    });
+
+    for (const action of ['disable', 'enable']) {
+        router.post(`/plugins/:name/${action}`, (req, res) => {
+            const ids = plugins.resolve(req.params.name).filter(id => plugins.plugins.has(id));
+            if (!ids.length) throw new ApiError(404, `No loaded plugin named "${req.params.name}"`);
+            ids.forEach(id => plugins.setDisabled(id, action === 'disable'));
+            res.json({ ok: true, [action === 'disable' ? 'disabled' : 'enabled']: ids });
+        });
+    }
+
+    // ---- Config
+    router.get('/config', (req, res) => {
+        const values = {};
+        const secrets = [];
+        for (const key of configManager.listKeys()) {
+            const secret = configManager.getSchema(key).secret;
+            values[key] = secret ? configManager.displayValue(key) : config[key];
+            if (secret) secrets.push(key);
+        }
+        res.json({ config: values, secrets });
+    });
+
+    router.patch('/config', (req, res) => {
+        const updates = req.body || {};
+        if (typeof updates !== 'object' || Array.isArray(updates) || !Object.keys(updates).length) {
+            throw new ApiError(400, 'Send an object of KEY: value pairs');
+        }
+
+        // Validate everything first so a bad key doesn't leave a partial update
+        for (const [key, value] of Object.entries(updates)) {
+            const schema = configManager.getSchema(key);
+            if (!schema) throw new ApiError(404, `Unknown config key ${key}`);
+            if (schema.secret) throw new ApiError(403, `${key} can only be changed from the bot or config.env`);
+            try {
+                configManager.parseValue(key, String(value));
+            } catch (e) {
+                throw new ApiError(400, `${key}: ${e.message}`);
+            }
+        }
+
+        const updated = {};
+        const untilRestart = []; // also set by the host environment, which wins on restart
+        let restart = false;
+        for (const [key, value] of Object.entries(updates)) {
+            const result = configManager.setVar(key, String(value));
+            updated[key] = result.value;
+            restart = restart || result.restart;
+            if (result.hostEnv) untilRestart.push(key);
+        }
+        logMessage('INFO', `API: config updated (${Object.keys(updated).join(', ')})`);
+        res.json({ ok: true, updated, restart, untilRestart });
+    });
+
+    router.use((req, res) => res.status(404).json({ error: `No route ${req.method} ${req.path}` }));
+
+    // Express recognises error middleware by its four arguments
+    router.use((err, req, res, next) => {
+        const status = err.status || (err.type === 'entity.parse.failed' ? 400 : 500);
+        if (!err.status && status >= 500) logMessage('ERROR', `API: ${req.method} ${req.originalUrl} failed: ${err.stack || err.message}`);
+        res.status(status).json({ error: err.message });
+    });
+
+    return router;
+}
+
+module.exports = { createApi, getStatus, keyMatches, buildContent, ApiError };
@@ -0,0 +1,139 @@
+// lib/commands.js — Known command names, per-chat aliases and "did you mean" replies
+const didYouMean = require('didyoumean');
+const similarity = require('similarity');
+const config = require('../config.js');
+const database = require('./database.js');
+const { pluginManager } = require('./pluginManager.js');
+
+// Handled by silva.js itself rather than a plugin
+const CORE_COMMANDS = ['ping', 'alive', 'menu', 'mode', 'resetsession', 'plugins', 'reload', 'disable', 'enable'];
+
+// A command or alias name: one word, no punctuation
+const WORD = /^[\p{L}\p{N}_-]{1,20}$/u;
+const MAX_ALIASES = 50;
+const MAX_TARGET = 100;
+const MIN_SIMILARITY = 0.5;
+
+function isCommand(name) {
+    return CORE_COMMANDS.includes(name) || !!pluginManager.findCommand(name)?.execute;
+}
+
+// Core commands plus every enabled plugin command that can be spelled out
+function commandNames() {
+    return [...new Set([...CORE_COMMANDS, ...pluginManager.getCommandNames()])];
+}
+
+/**
+ * Closest known commands to a mistyped one, best first
+ * @param {string} input
+ * @param {string[]} [names] - defaults to commandNames()
+ * @param {number} [limit=3]
+ * @returns {string[]}
+ */
+function suggest(input, names = commandNames(), limit = 3) {
+    const word = String(input || '').toLowerCase();
+    if (!word) return [];
+    const best = didYouMean(word, names);
+    const ranked = names
+        .map(name => ({ name, score: similarity(word, name) }))
+        .filter(({ score }) => score >= MIN_SIMILARITY)
+        .sort((a, b) => b.score - a.score)
+        .map(({ name }) => name);
+    return [...new Set([best, ...ranked].filter(Boolean))].slice(0, limit);
+}
+
+/**
+ * Reply for a command nobody handles, or null to stay quiet
+ * (UNKNOWN_COMMAND_REPLY: all | private | off, and punctuation like "..." is never a command).
+ * Only prefixed commands get one: "@bot hello" is usually just talking to the bot.
+ * @param {string} command
+ * @param {string} prefix
+ * @param {boolean} isGroup
+ * @param {'prefix'|'mention'|'noprefix'} [trigger='prefix'] - from parseCommand()
+ * @returns {string|null}
+ */
+function unknownCommandReply(command, prefix, isGroup, trigger = 'prefix') {
+    const mode = config.UNKNOWN_COMMAND_REPLY;
+    if (trigger !== 'prefix') return null;
+    if (mode === 'off' || (mode === 'private' && isGroup)) return null;
+    if (!WORD.test(command)) return null;
+
+    const matches = suggest(command);
+    return matches.length
+        ? `❓ Unknown command *${prefix}${command}*\n\nDid you mean ${matches.map(c => `*${prefix}${c}*`).join(' or ')}?`
+        : `❓ Unknown command *${prefix}${command}*\n\nSend *${prefix}menu* to see what I can do`;
+}
+
+// ✅ Per-chat aliases, stored with the chat in database.json
+
+/**
+ * @param {string} jid - chat JID
+ * @returns {Object<string, string>} alias -> command text
+ */
+function getAliases(jid) {
+    return database.getChat(jid).aliases || {};
+}
+
+/**
+ * Add or replace an alias for a chat
+ * @param {string} jid
+ * @param {string} name - the new word, e.g. "yt"
+ * @param {string} target - command (plus optional args) it stands for, e.g. "play" or "play audio"
+ * @returns {{ name: string, target: string }}
+ * @throws {Error} with a user-facing message when invalid
+ */
+function setAlias(jid, name, target) {
+    const alias = String(name || '').trim().toLowerCase();
+    const text = String(target || '').trim().replace(/\s+/g, ' ');
+    const command = text.split(' ')[0].toLowerCase();
+    const aliases = getAliases(jid);
+
+    if (!WORD.test(alias)) throw new Error('Alias must be one word of up to 20 letters or digits');
+    if (isCommand(alias)) throw new Error(`*${alias}* is already a command`);
+    if (!text || text.length > MAX_TARGET) throw new Error(`Target must be a command of up to ${MAX_TARGET} characters`);
+    if (Object.hasOwn(aliases, command)) throw new Error(`*${command}* is an alias itself; point to the command instead`);
+    if (!isCommand(command)) throw new Error(`No command named *${command}*`);
+    if (!Object.hasOwn(aliases, alias) && Object.keys(aliases).length >= MAX_ALIASES) throw new Error(`A chat can have at most ${MAX_ALIASES} aliases`);
+
+    database.updateChat(jid, { aliases: { ...aliases, [alias]: [command, ...text.split(' ').slice(1)].join(' ') } });
+    return { name: alias, target: getAliases(jid)[alias] };
+}
+
+/**
+ * @param {string} jid
+ * @param {string} name
+ * @returns {boolean} whether the alias existed
+ */
+function removeAlias(jid, name) {
+    const aliases = { ...getAliases(jid) };
+    const alias = String(name || '').trim().toLowerCase();
+    if (!Object.hasOwn(aliases, alias)) return false;
+    delete aliases[alias];
+    database.updateChat(jid, { aliases });
+    return true;
+}
+
+/**
+ * Swap a leading alias for the command it stands for ("yt despacito" -> "play despacito")
+ * @param {string} jid
+ * @param {string} text - command text without the prefix
+ * @returns {string}
+ */
+function expandAlias(jid, text) {
+    const aliases = getAliases(jid);
+    const first = (text.split(/\s/)[0] || '').toLowerCase();
+    const target = Object.hasOwn(aliases, first) ? aliases[first] : null;
+    return target ? text.replace(/^\S+/, () => target) : text;
+}
+
+module.exports = {
+    CORE_COMMANDS,
+    isCommand,
+    commandNames,
+    suggest,
+    unknownCommandReply,
+    getAliases,
+    setAlias,
+    removeAlias,
+    expandAlias
+};
@@ -0,0 +1,148 @@
+// lib/configManager.js — Read and update config.js values at runtime, persisted to config.env
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const config = require('../config.js');
+const { parseToggle } = require('./functions.js');
+
+const envPath = path.join(__dirname, '..', 'config.env');
+
+// Keys set by the host (Heroku, Docker, …) rather than config.env. dotenv never overrides
+// those, so a config.env edit only lasts until the next restart.
+const hostKeys = (() => {
+    let file = {};
+    try {
+        file = dotenv.parse(fs.readFileSync(envPath));
+    } catch {}
+    return new Set(Object.keys(process.env).filter(key => file[key] !== process.env[key]));
+})();
+
+// Keys whose type can't be inferred from their default value.
+// `optional` keys can be cleared again with an empty value or "none".
+const OVERRIDES = {
+    MODE: { type: 'enum', values: ['both', 'public', 'private'] },
+    UNKNOWN_COMMAND_REPLY: { type: 'enum', values: ['all', 'private', 'off'] },
+    CUSTOM_REACT_EMOJIS: { type: 'list' },
+    OWNER_NUMBER: { type: 'string', pattern: /^\d{6,15}$/, hint: 'digits only, with country code' },
+    SESSION_ID: { type: 'string', secret: true, restart: true },
+    PREFIX: { type: 'string', pattern: /^[^\s@]{1,3}(\s+[^\s@]{1,3}){0,4}$/, hint: '1-5 prefixes of 1-3 characters (not @), separated by spaces' },
+    NO_PREFIX_COMMANDS: { type: 'list', optional: true },
+    PAIRING_NUMBER: { type: 'string', pattern: /^\d{7,15}$/, hint: 'digits only, with country code', optional: true },
+    OWNERS: { type: 'string', optional: true },
+    API_KEY: { type: 'string', secret: true, optional: true },
+    LOG_LEVEL: { type: 'enum', values: ['trace', 'debug', 'info', 'warn', 'error', 'fatal'] },
+    WEBHOOK_URLS: { type: 'list', optional: true },
+    WEBHOOK_EVENTS: { type: 'list' },
+    WEBHOOK_SECRET: { type: 'string', secret: true, optional: true }
+};
+
+/**
+ * Describe a config key
+ * @param {string} key
+ * @returns {{ type: string, values?: string[], pattern?: RegExp, secret?: boolean, restart?: boolean, optional?: boolean }|null}
+ */
+function getSchema(key) {
+    if (!(key in config)) return null;
+    if (OVERRIDES[key]) return OVERRIDES[key];
+    const value = config[key];
+    if (typeof value === 'boolean') return { type: 'bool' };
+    if (typeof value === 'number') return { type: 'number' };
+    return { type: 'string' };
+}
+
+function listKeys() {
+    return Object.keys(config).filter(key => typeof config[key] !== 'function');
+}
+
+/**
+ * Validate a raw value for a key
+ * @param {string} key
+ * @param {string} raw
+ * @returns {{ value: *, env: string }} parsed value and its config.env form
+ * @throws {Error} with a user-facing message when invalid
+ */
+function parseValue(key, raw) {
+    const schema = getSchema(key);
+    if (!schema) throw new Error(`Unknown config key: ${key}`);
+    const text = String(raw ?? '').trim();
+    if (schema.optional && (!text || text.toLowerCase() === 'none')) return { value: '', env: '' };
+
+    switch (schema.type) {
+        case 'bool': {
+            const value = parseToggle(text);
+            if (value === null) throw new Error(`${key} must be true or false`);
+            return { value, env: String(value) };
+        }
+        case 'number': {
+            const value = Number(text);
+            if (text === '' || !Number.isFinite(value)) throw new Error(`${key} must be a number`);
+            return { value, env: String(value) };
+        }
+        case 'enum': {
+            const value = text.toLowerCase();
+            if (!schema.values.includes(value)) throw new Error(`${key} must be one of: ${schema.values.join(', ')}`);
+            return { value, env: value };
+        }
+        case 'list': {
+            const items = text.split(',').map(v => v.trim()).filter(Boolean);
+            if (!items.length) throw new Error(`${key} must be a comma-separated list`);
+            return { value: items.join(','), env: items.join(',') };
+        }
+        default:
+            if (!text) throw new Error(`${key} cannot be empty`);
+            if (schema.pattern && !schema.pattern.test(text)) throw new Error(`${key} must be ${schema.hint || `like ${schema.pattern}`}`);
+            return { value: text, env: text };
+    }
+}
+
+// dotenv takes single- and backtick-quoted values literally and only turns \n into
+// a newline inside double quotes, so use the first quote the value doesn't contain
+function quoteEnv(value) {
+    if (!/[\s#"'`\\]/.test(value)) return value;
+    if (/[\r\n]/.test(value)) throw new Error('Value cannot contain line breaks');
+    const quote = ["'", '`', '"'].find(q => !value.includes(q) && !(q === '"' && /\\[nr]/.test(value)));
+    if (!quote) throw new Error('Value cannot contain both \' and ` along with " or \\n');
+    return `${quote}${value}${quote}`;
+}
+
+function writeEnv(key, envValue) {
+    const lines = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf8').split('\n') : [];
+    const line = `${key}=${quoteEnv(envValue)}`;
+    const index = lines.findIndex(l => l.replace(/^\s*export\s+/, '').startsWith(`${key}=`));
+    if (index === -1) {
+        if (lines.length && lines[lines.length - 1] === '') lines.pop();
+        lines.push(line, '');
+    } else {
+        lines[index] = line;
+    }
+    fs.writeFileSync(envPath, lines.join('\n'));
+}
+
+/**
+ * Update a config value in memory and in config.env
+ * @param {string} key
+ * @param {string} raw
+ * @returns {{ value: *, restart: boolean, hostEnv: boolean }}
+ *   hostEnv: the host environment also sets the key, so the change is lost on restart
+ */
+function setVar(key, raw) {
+    const { value, env } = parseValue(key, raw);
+    writeEnv(key, env);
+    process.env[key] = env;
+    config[key] = value;
+    return { value, restart: !!getSchema(key).restart, hostEnv: hostKeys.has(key) };
+}
+
+/**
+ * Get a config value for display; secrets are reduced to set/unset
+ * @param {string} key
+ * @returns {string}
+ */
+function displayValue(key) {
+    const value = config[key];
+    // Secrets only show whether they are set; even a prefix gives away most of a short key
+    if (getSchema(key)?.secret) return value ? '••••••' : '(empty)';
+    return value === '' ? '(empty)' : String(value);
+}
+
+module.exports = { getSchema, listKeys, parseValue, quoteEnv, setVar, displayValue };
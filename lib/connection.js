@@ -0,0 +1,193 @@
+// lib/connection.js — Keeps one WhatsApp socket alive and reconnects with backoff
+const { DisconnectReason } = require('@whiskeysockets/baileys');
+const config = require('../config.js');
+const session = require('./session.js');
+const webhooks = require('./webhooks.js');
+const { logMessage } = require('./logger.js');
+
+const BASE_DELAY = 2 * 1000;
+const MAX_DELAY = 5 * 60 * 1000;
+// Another device took over this session; retrying fast would just kick it back and forth
+const REPLACED_DELAY = 10 * 60 * 1000;
+
+const REASON_NAMES = Object.fromEntries(
+    Object.entries(DisconnectReason || {}).filter(([, code]) => typeof code === 'number').map(([name, code]) => [code, name])
+);
+
+const formatDuration = ms => {
+    const minutes = Math.round(ms / 60000);
+    return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+class ConnectionSupervisor {
+    constructor() {
+        this.factory = null;
+        this.sock = null;
+        this.state = 'idle'; // idle | connecting | open | waiting
+        this.starting = false;
+        this.attempts = 0;
+        this.connectedAt = null;
+        this.downSince = Date.now();
+        this.downAlerted = false;
+        this.lastDisconnect = null;
+        this.nextAttemptAt = null;
+        this.timer = null;
+        this.downTimer = null;
+    }
+
+    /**
+     * Start connecting
+     * @param {Function} factory - async () => sock; creates a socket and registers its listeners
+     */
+    start(factory) {
+        this.factory = factory;
+        this.watchDowntime();
+        return this.connect();
+    }
+
+    /**
+     * Replace whatever socket exists with a new one. Safe to call at any time:
+     * overlapping calls collapse into one attempt.
+     */
+    async connect() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.nextAttemptAt = null;
+        if (this.starting) return;
+
+        this.teardown();
+        this.state = 'connecting';
+        this.attempts++;
+        this.starting = true;
+        try {
+            this.sock = await this.factory();
+        } catch (e) {
+            logMessage('ERROR', `Connect attempt ${this.attempts} failed: ${e.stack || e.message}`);
+            this.schedule(this.backoff(), 'startup error');
+        } finally {
+            this.starting = false;
+        }
+    }
+
+    // Drop every listener before closing so the old socket can't trigger another reconnect
+    teardown() {
+        const sock = this.sock;
+        this.sock = null;
+        if (!sock) return;
+        try {
+            sock.ev.removeAllListeners();
+            sock.end(undefined);
+        } catch (e) {
+            logMessage('DEBUG', `Socket teardown: ${e.message}`);
+        }
+    }
+
+    // Exponential backoff with "equal jitter": half fixed, half random
+    backoff() {
+        const exp = Math.min(MAX_DELAY, BASE_DELAY * 2 ** Math.max(0, this.attempts - 1));
+        return Math.round(exp / 2 + Math.random() * exp / 2);
+    }
+
+    schedule(delay, why) {
+        this.state = 'waiting';
+        this.nextAttemptAt = Date.now() + delay;
+        logMessage('INFO', `Reconnecting in ${Math.round(delay / 1000)}s (${why})`);
+        this.timer = setTimeout(() => this.connect(), delay);
+    }
+
+    /**
+     * Call from the socket's connection.update when it closes
+     * @param {object} sock - the socket that closed
+     * @param {Error} [error] - lastDisconnect.error
+     */
+    handleClose(sock, error) {
+        if (sock !== this.sock) return;
+        // Remove the closed socket's listeners now; connect() has nothing left to tear down
+        this.teardown();
+        this.connectedAt = null;
+        if (this.state === 'open') {
+            this.downSince = Date.now();
+            this.downAlerted = false;
+        }
+
+        const code = error?.output?.statusCode ?? null;
+        const reason = REASON_NAMES[code] || 'unknown';
+        this.lastDisconnect = { code, reason, message: error?.message || null, at: Date.now() };
+        logMessage('WARN', `Connection closed: ${code || 'Unknown'} (${reason})`);
+
+        switch (code) {
+            case DisconnectReason.restartRequired:
+                // Normal right after pairing or a server-side restart
+                this.attempts = 0;
+                return this.schedule(0, 'restart required');
+            case DisconnectReason.loggedOut:
+                session.markLoggedOut();
+                webhooks.emit('session.invalid', { reason: 'logged_out' });
+                this.attempts = 0;
+                return this.schedule(0, 'logged out, starting a new login');
+            case DisconnectReason.badSession:
+                session.markCorrupt('bad session');
+                webhooks.emit('session.invalid', { reason: 'bad_session' });
+                return this.schedule(BASE_DELAY, 'bad session');
+            case DisconnectReason.connectionReplaced:
+                logMessage('WARN', 'Another instance opened this session. Stop the other one or this bot keeps being replaced');
+                return this.schedule(REPLACED_DELAY, 'connection replaced');
+            case DisconnectReason.forbidden:
+                return this.schedule(MAX_DELAY, 'forbidden');
+            default:
+                return this.schedule(this.backoff(), reason);
+        }
+    }
+
+    /**
+     * Call from connection.update when the socket opens
+     * @param {object} sock
+     * @returns {{ downtime: number, attempts: number, lastDisconnect: object|null }|null}
+     *   the outage that just ended if it was long enough to tell the owner about
+     */
+    handleOpen(sock) {
+        if (sock !== this.sock) return null;
+        const downtime = Date.now() - this.downSince;
+        const outage = { downtime, attempts: this.attempts, lastDisconnect: this.lastDisconnect };
+        this.state = 'open';
+        this.attempts = 0;
+        this.connectedAt = Date.now();
+        this.downSince = null;
+        return downtime >= this.alertAfter() && this.lastDisconnect ? outage : null;
+    }
+
+    alertAfter() {
+        return Math.max(1, config.DOWNTIME_ALERT_MINUTES || 10) * 60 * 1000;
+    }
+
+    // Outages can't be reported over WhatsApp while they last: log and fire a webhook instead
+    watchDowntime() {
+        if (this.downTimer) return;
+        this.downTimer = setInterval(() => {
+            if (!this.downSince || this.downAlerted || Date.now() - this.downSince < this.alertAfter()) return;
+            this.downAlerted = true;
+            logMessage('CRITICAL', `WhatsApp connection down for ${formatDuration(Date.now() - this.downSince)} (${this.lastDisconnect?.reason || 'never connected'})`);
+            webhooks.emit('connection.down', this.status());
+        }, 30 * 1000);
+        this.downTimer.unref?.();
+    }
+
+    /**
+     * @returns {object} connection state for /status, the API and the dashboard
+     */
+    status() {
+        return {
+            state: this.state,
+            connectedAt: this.connectedAt,
+            downSince: this.downSince,
+            attempts: this.attempts,
+            nextAttemptAt: this.nextAttemptAt,
+            lastDisconnect: this.lastDisconnect
+        };
+    }
+}
+
+// Shared instance used by silva.js (and handed to the API and dashboard)
+const supervisor = new ConnectionSupervisor();
+
+module.exports = { ConnectionSupervisor, supervisor, formatDuration };
@@ -0,0 +1,134 @@
+// lib/dashboard.js — Live socket.io feed for the web dashboard (smm/silva.html)
+//
+// Clients connect with { auth: { key: API_KEY } } and receive:
+//   init      { status, commands, recoveries, throughput }   once, on connect
+//   state     { status, throughput }                         every few seconds and on (dis)connect
+//   command   one entry of the recent command log
+//   recovery  one anti-delete recovery
+//   plugins   { id, action } when a plugin is reloaded, removed, enabled or disabled
+// Everything that changes state (toggles, config edits) goes through the REST API in lib/api.js.
+const { Server } = require('socket.io');
+const config = require('../config.js');
+const webhooks = require('./webhooks.js');
+const { messageQueue } = require('./messageQueue.js');
+const { getStatus, keyMatches } = require('./api.js');
+const { logMessage } = require('./logger.js');
+
+const HISTORY = 50;
+const THROUGHPUT_MINUTES = 60;
+const PUSH_INTERVAL = 5 * 1000;
+const MINUTE = 60 * 1000;
+
+class Dashboard {
+    /**
+     * @param {object} options
+     * @param {Function} options.getSock - returns the connected socket, or null while offline
+     * @param {object} options.plugins - PluginManager instance
+     * @param {object} [options.supervisor] - ConnectionSupervisor
+     */
+    constructor(options) {
+        this.options = options;
+        this.plugins = options.plugins;
+        this.io = null;
+        this.timer = null;
+        this.commands = [];
+        this.recoveries = [];
+        this.throughput = [];
+        this.lastSent = messageQueue.getMetrics().sent;
+    }
+
+    /**
+     * Attach socket.io to the HTTP server and start pushing updates.
+     * The client script is served at /socket.io/socket.io.js.
+     * @param {import('http').Server} server
+     */
+    attach(server) {
+        if (this.io) return;
+        this.io = new Server(server);
+
+        this.io.use((socket, next) => {
+            if (!config.API_KEY) return next(new Error('Dashboard disabled: set API_KEY to enable it'));
+            if (!keyMatches(socket.handshake.auth?.key)) {
+                logMessage('WARN', `Dashboard: rejected connection from ${socket.handshake.address}`);
+                return next(new Error('Invalid API key'));
+            }
+            next();
+        });
+        this.io.on('connection', socket => socket.emit('init', this.snapshot()));
+
+        webhooks.bus.on('message', data => {
+            if (!data.fromMe) this.bucket().in++;
+        });
+        webhooks.bus.on('command', data => this.record(this.commands, 'command', data));
+        webhooks.bus.on('message.deleted', data => this.record(this.recoveries, 'recovery', data));
+        webhooks.bus.on('connection.open', () => this.push());
+        webhooks.bus.on('connection.close', () => this.push());
+        this.plugins.on('change', ({ id, action }) => this.io.emit('plugins', { id, action }));
+
+        this.timer = setInterval(() => this.push(), PUSH_INTERVAL);
+        this.timer.unref?.();
+    }
+
+    // Per-minute bucket for now, adding empty minutes for any gap since the last one
+    bucket(now = Date.now()) {
+        const start = Math.floor(now / MINUTE) * MINUTE;
+        let last = this.throughput[this.throughput.length - 1];
+        if (!last || last.t < start) {
+            const first = last ? Math.max(last.t + MINUTE, start - (THROUGHPUT_MINUTES - 1) * MINUTE) : start;
+            for (let t = first; t <= start; t += MINUTE) this.throughput.push({ t, in: 0, out: 0 });
+            this.throughput.splice(0, Math.max(0, this.throughput.length - THROUGHPUT_MINUTES));
+            last = this.throughput[this.throughput.length - 1];
+        }
+        return last;
+    }
+
+    // Outbound sends are counted by the queue; fold the difference into the current minute
+    sampleSent() {
+        const { sent } = messageQueue.getMetrics();
+        this.bucket().out += Math.max(0, sent - this.lastSent);
+        this.lastSent = sent;
+    }
+
+    record(list, event, data) {
+        const entry = { ...data, at: Date.now() };
+        list.unshift(entry);
+        list.splice(HISTORY);
+        this.io.emit(event, entry);
+    }
+
+    snapshot() {
+        this.sampleSent();
+        return {
+            status: getStatus(this.options),
+            commands: this.commands,
+            recoveries: this.recoveries,
+            throughput: this.throughput
+        };
+    }
+
+    push() {
+        this.sampleSent();
+        this.io.emit('state', { status: getStatus(this.options), throughput: this.bucket() });
+    }
+
+    close() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.io?.close();
+        this.io = null;
+    }
+}
+
+/**
+ * Create the dashboard feed and attach it to the HTTP server
+ * @param {import('http').Server} server
+ * @param {object} options - see Dashboard
+ * @returns {Dashboard}
+ */
+function createDashboard(server, options) {
+    const dashboard = new Dashboard(options);
+    dashboard.attach(server);
+    return dashboard;
+}
+
+module.exports = { Dashboard, createDashboard };
@@ -0,0 +1,81 @@
+// lib/database.js — Persistent per-chat data stored in database.json (lowdb)
+const path = require('path');
+const { logMessage } = require('./logger.js');
+
+const dbPath = path.join(__dirname, '..', 'database.json');
+
+let db = null;
+// Used until initDatabase() finishes so callers never see undefined
+const memory = { chats: {} };
+
+// lowdb is ESM-only, so it is loaded with a dynamic import
+async function initDatabase() {
+    try {
+        const { Low, JSONFile } = await import('lowdb');
+        db = new Low(new JSONFile(dbPath));
+        await db.read();
+        db.data = { ...memory, ...(db.data || {}) };
+        db.data.chats = { ...memory.chats, ...(db.data.chats || {}) };
+        logMessage('INFO', `Database ready: ${Object.keys(db.data.chats).length} chat(s)`);
+    } catch (e) {
+        db = null;
+        logMessage('ERROR', `Database init failed, settings will not persist: ${e.message}`);
+    }
+}
+
+function getData() {
+    return db?.data || memory;
+}
+
+function save() {
+    if (!db) return;
+    db.write().catch(e => logMessage('ERROR', `Database write failed: ${e.message}`));
+}
+
+/**
+ * Get the stored data for a chat
+ * @param {string} jid
+ * @returns {object}
+ */
+function getChat(jid) {
+    return getData().chats[jid] || {};
+}
+
+/**
+ * Shallow-merge a patch into a chat's data and persist it
+ * @param {string} jid
+ * @param {object} patch
+ * @returns {object} the updated chat data
+ */
+function updateChat(jid, patch) {
+    const chats = getData().chats;
+    chats[jid] = { ...chats[jid], ...patch };
+    save();
+    return chats[jid];
+}
+
+/**
+ * Increment a user's warning count for a feature in a chat
+ * @param {string} jid - chat JID
+ * @param {string} user - user JID
+ * @param {string} kind - feature name, e.g. 'antilink'
+ * @returns {number} the new warning count
+ */
+function addWarning(jid, user, kind) {
+    const warnings = { ...getChat(jid).warnings };
+    const counts = { ...warnings[kind] };
+    counts[user] = (counts[user] || 0) + 1;
+    warnings[kind] = counts;
+    updateChat(jid, { warnings });
+    return counts[user];
+}
+
+function resetWarnings(jid, user, kind) {
+    const warnings = { ...getChat(jid).warnings };
+    const counts = { ...warnings[kind] };
+    delete counts[user];
+    warnings[kind] = counts;
+    updateChat(jid, { warnings });
+}
+
+module.exports = { initDatabase, getData, getChat, updateChat, save, addWarning, resetWarnings };
@@ -1,4 +1,4 @@
-import axios from 'axios';
+const axios = require('axios');
 
 /**
  * Fetch buffer from URL
@@ -6,7 +6,7 @@ import axios from 'axios';
  * @param {object} options
  * @returns {Promise<Buffer>}
  */
-export const getBuffer = async (url, options = {}) => {
+const getBuffer = async (url, options = {}) => {
     try {
         const response = await axios({
             method: 'GET',
@@ -30,7 +30,7 @@ export const getBuffer = async (url, options = {}) => {
  * @param {Array} participants
  * @returns {Array}
  */
-export const getGroupAdmins = participants => {
+const getGroupAdmins = participants => {
     return participants
         .filter(member => member.admin !== null)
         .map(member => member.id);
@@ -41,14 +41,14 @@ export const getGroupAdmins = participants => {
  * @param {string} ext
  * @returns {string}
  */
-export const getRandom = ext => `${Math.floor(Math.random() * 10000)}${ext}`;
+const getRandom = ext => `${Math.floor(Math.random() * 10000)}${ext}`;
 
 /**
  * Convert number to human-readable format
  * @param {number} num
  * @returns {string}
  */
-export const h2k = num => {
+const h2k = num => {
     const units = ['', 'K', 'M', 'B', 'T'];
     const unit = Math.floor((Math.log10(Math.abs(num)) / 3) | 0);
     if (unit === 0) return num.toString();
@@ -56,29 +56,38 @@ export const h2k = num => {
     return value.replace(/\.0$/, '') + units[unit];
 };
 
+const URL_PATTERN = /https?:\/\/(www\.)?[-a-zA-Z0-9@:%.+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%+.~#?&/=]*)/gi;
+
 /**
  * Validate if string is URL
  * @param {string} text
  * @returns {boolean}
  */
-export const isUrl = text => {
-    const pattern = /https?:\/\/(www\.)?[-a-zA-Z0-9@:%.+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%+.~#?&/=]*)/gi;
+const isUrl = text => {
+    const pattern = new RegExp(URL_PATTERN.source, 'i');
     return pattern.test(text);
 };
 
+/**
+ * Extract all URLs from text
+ * @param {string} text
+ * @returns {string[]}
+ */
+const getUrls = text => String(text || '').match(URL_PATTERN) || [];
+
 /**
  * Convert object to formatted JSON
  * @param {object} obj
  * @returns {string}
  */
-export const Json = obj => JSON.stringify(obj, null, 2);
+const Json = obj => JSON.stringify(obj, null, 2);
 
 /**
  * Convert seconds to human-readable runtime
  * @param {number} seconds
  * @returns {string}
  */
-export const runtime = seconds => {
+const runtime = seconds => {
     seconds = Number(seconds);
     const d = Math.floor(seconds / 86400);
     const h = Math.floor((seconds % 86400) / 3600);
@@ -92,7 +101,7 @@ export const runtime = seconds => {
  * @param {number} ms
  * @returns {Promise}
  */
-export const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
  * Fetch JSON from URL
@@ -100,7 +109,7 @@ export const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
  * @param {object} options
  * @returns {Promise<object>}
  */
-export const fetchJson = async (url, options = {}) => {
+const fetchJson = async (url, options = {}) => {
     try {
         const response = await axios({
             method: 'GET',
@@ -116,3 +125,53 @@ export const fetchJson = async (url, options = {}) => {
         return null;
     }
 };
+
+/**
+ * Find a participant in group metadata by JID, matching LID and phone-number forms
+ * @param {Array} participants
+ * @param {string} jid
+ * @returns {object|undefined}
+ */
+const findParticipant = (participants = [], jid) => {
+    const bare = String(jid || '').replace(/:\d+(?=@)/, '');
+    return participants.find(p => [p.id, p.jid, p.lid, p.phoneNumber].includes(bare));
+};
+
+/**
+ * Check whether a JID is an admin in a participant list
+ * @param {Array} participants
+ * @param {string} jid
+ * @returns {boolean}
+ */
+const isGroupAdmin = (participants, jid) => {
+    const participant = findParticipant(participants, jid);
+    return !!(participant?.admin || participant?.superAdmin);
+};
+
+/**
+ * Parse an on/off style argument
+ * @param {string} value
+ * @returns {boolean|null} null when the value is not a toggle word
+ */
+const parseToggle = value => {
+    const word = String(value || '').toLowerCase();
+    if (['on', 'true', 'enable', 'yes'].includes(word)) return true;
+    if (['off', 'false', 'disable', 'no'].includes(word)) return false;
+    return null;
+};
+
+module.exports = {
+    getBuffer,
+    getGroupAdmins,
+    getRandom,
+    h2k,
+    isUrl,
+    getUrls,
+    Json,
+    runtime,
+    sleep,
+    fetchJson,
+    findParticipant,
+    isGroupAdmin,
+    parseToggle
+};
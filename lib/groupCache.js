@@ -0,0 +1,163 @@
+// lib/groupCache.js — In-memory group metadata cache kept fresh by socket events
+const { logMessage } = require('./logger.js');
+const { findParticipant } = require('./functions.js');
+
+// Safety net for missed events; normal invalidation is event driven
+const DEFAULT_TTL = 30 * 60 * 1000;
+
+const participantId = p => (typeof p === 'string' ? p : p?.id);
+const bareJid = jid => String(jid || '').replace(/:\d+(?=@)/, '');
+
+class GroupCache {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.ttl] - ms before an entry is refetched
+     */
+    constructor({ ttl = DEFAULT_TTL } = {}) {
+        this.ttl = ttl;
+        this.groups = new Map();   // jid -> { metadata, fetchedAt }
+        this.pending = new Map();  // jid -> in-flight groupMetadata() promise
+    }
+
+    /**
+     * Get cached metadata without touching the network
+     * @param {string} jid
+     * @returns {object|undefined} undefined when missing or expired
+     */
+    get(jid) {
+        const entry = this.groups.get(jid);
+        if (!entry) return undefined;
+        if (Date.now() - entry.fetchedAt > this.ttl) {
+            this.groups.delete(jid);
+            return undefined;
+        }
+        return entry.metadata;
+    }
+
+    set(jid, metadata) {
+        if (!jid || !metadata) return;
+        this.groups.set(jid, { metadata, fetchedAt: Date.now() });
+    }
+
+    invalidate(jid) {
+        this.groups.delete(jid);
+    }
+
+    clear() {
+        this.groups.clear();
+        this.pending.clear();
+    }
+
+    get size() {
+        return this.groups.size;
+    }
+
+    /**
+     * Get metadata from the cache, fetching it on a miss.
+     * Concurrent misses for the same group share one request.
+     * @param {object} sock - Baileys socket
+     * @param {string} jid - group JID
+     * @param {object} [options]
+     * @param {boolean} [options.force] - bypass the cache
+     * @returns {Promise<object>}
+     */
+    async fetch(sock, jid, { force = false } = {}) {
+        if (!force) {
+            const cached = this.get(jid);
+            if (cached) return cached;
+        }
+        if (this.pending.has(jid)) return this.pending.get(jid);
+
+        const request = sock.groupMetadata(jid)
+            .then(metadata => {
+                this.set(jid, metadata);
+                return metadata;
+            })
+            .finally(() => this.pending.delete(jid));
+        this.pending.set(jid, request);
+        return request;
+    }
+
+    /**
+     * Fill the cache with every group the bot is in
+     * @param {object} sock - Baileys socket
+     * @returns {Promise<number>} number of groups cached
+     */
+    async warm(sock) {
+        try {
+            const groups = await sock.groupFetchAllParticipating();
+            for (const [jid, metadata] of Object.entries(groups || {})) this.set(jid, metadata);
+            logMessage('INFO', `Group cache warmed: ${this.size} group(s)`);
+        } catch (e) {
+            logMessage('WARN', `Group cache warmup failed: ${e.message}`);
+        }
+        return this.size;
+    }
+
+    /**
+     * Apply a `groups.update` / `groups.upsert` payload.
+     * Entries carrying a participant list are complete metadata; anything else
+     * is a partial change merged into the cached entry.
+     * @param {Array<object>} updates
+     */
+    applyGroupsUpdate(updates) {
+        if (!Array.isArray(updates)) return;
+        for (const { author, ...update } of updates) {
+            if (!update.id) continue;
+            if (Array.isArray(update.participants)) {
+                this.set(update.id, update);
+                continue;
+            }
+            const entry = this.groups.get(update.id);
+            if (entry) entry.metadata = { ...entry.metadata, ...update };
+        }
+    }
+
+    /**
+     * Apply a `group-participants.update` payload
+     * @param {object} update - { id, participants, action }
+     * @param {object} [sock] - used to notice the bot itself leaving
+     */
+    applyParticipantsUpdate({ id, participants = [], action }, sock) {
+        const entry = this.groups.get(id);
+        if (!entry) return;
+
+        const botIds = [sock?.user?.id, sock?.user?.lid].filter(Boolean).map(bareJid);
+        const ids = participants.map(participantId).filter(Boolean);
+        if (action === 'remove' && ids.some(p => botIds.includes(bareJid(p)))) {
+            this.invalidate(id);
+            return;
+        }
+
+        const metadata = entry.metadata;
+        let list = [...(metadata.participants || [])];
+        switch (action) {
+            case 'add':
+                for (const p of participants) {
+                    if (!findParticipant(list, participantId(p))) {
+                        list.push(typeof p === 'string' ? { id: p, admin: null } : { admin: null, ...p });
+                    }
+                }
+                break;
+            case 'remove':
+                list = list.filter(p => !ids.some(jid => findParticipant([p], jid)));
+                break;
+            case 'promote':
+            case 'demote':
+                list = list.map(p => (ids.some(jid => findParticipant([p], jid))
+                    ? { ...p, admin: action === 'promote' ? 'admin' : null }
+                    : p));
+                break;
+            default:
+                // 'modify' (number changes) and unknown actions: refetch on next use
+                this.invalidate(id);
+                return;
+        }
+        entry.metadata = { ...metadata, participants: list, size: list.length };
+    }
+}
+
+// Shared instance used by silva.js, utils/ and plugins
+const groupCache = new GroupCache();
+
+module.exports = { GroupCache, groupCache };
@@ -0,0 +1,270 @@
+// lib/logger.js — Structured (pino) logger for Silva MD with daily + size based rotation
+//
+// Entries are JSON lines in logs/silva-YYYY-MM-DD.log (then .1.log, .2.log… once a file
+// reaches LOG_MAX_SIZE_MB). Files older than LOG_RETENTION_DAYS are deleted.
+// The console keeps the familiar "[time] [TYPE] message" format.
+const fs = require('fs');
+const path = require('path');
+const pino = require('pino');
+const config = require('../config.js');
+
+// ✅ Log Directory
+const logDir = path.join(__dirname, '..', 'logs');
+if (!fs.existsSync(logDir)) fs.mkdirSync(logDir);
+
+const LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+
+// Legacy logMessage types → pino levels. Types that aren't a level name are kept in the `type` field.
+const TYPE_LEVELS = {
+    TRACE: 'trace',
+    DEBUG: 'debug',
+    INFO: 'info',
+    SUCCESS: 'info',
+    EVENT: 'info',
+    MESSAGE: 'info',
+    COMMAND: 'info',
+    PLUGIN: 'info',
+    WARN: 'warn',
+    WARNING: 'warn',
+    ERROR: 'error',
+    CRITICAL: 'fatal',
+    FATAL: 'fatal'
+};
+
+const FILE_PATTERN = /^silva-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.log$/;
+const LEGACY_PATTERN = /^messages-.*\.log$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function getLogFileName(date = today(), index = 0) {
+    return `silva-${date}${index ? `.${index}` : ''}.log`;
+}
+
+function currentLevel() {
+    const level = String(config.LOG_LEVEL || '').toLowerCase();
+    if (LEVELS.includes(level)) return level;
+    return config.DEBUG ? 'debug' : 'info';
+}
+
+/**
+ * Log files, newest first
+ * @returns {{ name: string, file: string, date: string, index: number, size: number }[]}
+ */
+function listLogFiles() {
+    let names = [];
+    try {
+        names = fs.readdirSync(logDir);
+    } catch {
+        return [];
+    }
+    return names
+        .map(name => ({ name, match: FILE_PATTERN.exec(name) }))
+        .filter(({ match }) => match)
+        .map(({ name, match }) => {
+            const file = path.join(logDir, name);
+            let size = 0;
+            try { size = fs.statSync(file).size; } catch {}
+            return { name, file, date: match[1], index: Number(match[2] || 0), size };
+        })
+        .sort((a, b) => b.date.localeCompare(a.date) || b.index - a.index);
+}
+
+// ✅ Rotating File Stream
+class RotatingFile {
+    constructor() {
+        this.date = null;
+        this.index = 0;
+        this.size = 0;
+        this.dest = null;
+    }
+
+    maxSize() {
+        return Math.max(1, config.LOG_MAX_SIZE_MB || 10) * 1024 * 1024;
+    }
+
+    get file() {
+        return path.join(logDir, getLogFileName(this.date, this.index));
+    }
+
+    open(date) {
+        if (this.date !== date) {
+            this.date = date;
+            // Continue the newest file of the day after a restart
+            this.index = listLogFiles().find(f => f.date === date)?.index || 0;
+        }
+        try {
+            this.size = fs.statSync(this.file).size;
+        } catch {
+            this.size = 0;
+        }
+        this.dest = pino.destination({ dest: this.file, sync: false, mkdir: true });
+        this.dest.on('error', e => console.error('Failed writing log:', e.message));
+    }
+
+    close() {
+        if (!this.dest) return;
+        try {
+            this.dest.end();
+        } catch (e) {
+            console.error('Failed closing log:', e.message);
+        }
+        this.dest = null;
+    }
+
+    rotate(date) {
+        this.close();
+        if (date === this.date) this.index++;
+        this.open(date);
+        prune();
+    }
+
+    write(line) {
+        const date = today();
+        if (!this.dest) this.open(date);
+        else if (date !== this.date || this.size >= this.maxSize()) this.rotate(date);
+        this.size += Buffer.byteLength(line);
+        this.dest.write(line);
+    }
+
+    flushSync() {
+        try {
+            this.dest?.flushSync();
+        } catch {}
+    }
+}
+
+/**
+ * Delete log files past LOG_RETENTION_DAYS (including the old plain text messages-*.log files)
+ * @returns {number} files removed
+ */
+function prune() {
+    const cutoff = Date.now() - Math.max(1, config.LOG_RETENTION_DAYS || 7) * DAY;
+    let removed = 0;
+    let names = [];
+    try {
+        names = fs.readdirSync(logDir);
+    } catch {
+        return 0;
+    }
+    for (const name of names) {
+        if (!FILE_PATTERN.test(name) && !LEGACY_PATTERN.test(name)) continue;
+        const file = path.join(logDir, name);
+        try {
+            if (fs.statSync(file).mtimeMs >= cutoff) continue;
+            fs.unlinkSync(file);
+            removed++;
+        } catch {}
+    }
+    return removed;
+}
+
+// ✅ Console Stream
+const consoleStream = {
+    write(line) {
+        try {
+            const { time, level, type, msg, err, ...context } = JSON.parse(line);
+            const label = type || pino.levels.labels[level].toUpperCase();
+            const extra = Object.keys(context).length ? ` ${JSON.stringify(context)}` : '';
+            const out = `[${new Date(time).toISOString()}] [${label}] ${msg}${extra}${err?.stack ? `\n${err.stack}` : ''}`;
+            (level >= 50 ? console.error : console.log)(out);
+        } catch {
+            process.stdout.write(line);
+        }
+    }
+};
+
+const fileStream = new RotatingFile();
+
+const logger = pino(
+    { level: 'trace', base: undefined, timestamp: pino.stdTimeFunctions.epochTime },
+    pino.multistream([
+        { level: 'trace', stream: consoleStream },
+        { level: 'trace', stream: fileStream }
+    ])
+);
+logger.level = currentLevel();
+
+process.on('exit', () => fileStream.flushSync());
+prune();
+
+/**
+ * Log a message
+ * @param {string} type - a level (DEBUG, INFO, WARN, ERROR, CRITICAL) or a legacy type like SUCCESS, COMMAND
+ * @param {string} message
+ * @param {object} [context] - extra fields for the entry, e.g. { chat, sender, command, plugin }
+ */
+function logMessage(type, message, context) {
+    const level = currentLevel();
+    if (logger.level !== level) logger.level = level; // LOG_LEVEL can change at runtime via .setvar
+
+    const name = String(type || 'INFO').toUpperCase();
+    const method = TYPE_LEVELS[name] || 'info';
+    const fields = {};
+    for (const [key, value] of Object.entries(context || {})) {
+        if (value !== undefined && value !== null && value !== '') fields[key] = value;
+    }
+    if (name !== method.toUpperCase()) fields.type = name;
+    logger[method](fields, String(message));
+}
+
+const CHUNK_SIZE = 64 * 1024;
+
+// Lines of a file from last to first, read in chunks from the end so only the tail is loaded
+function* linesFromEnd(file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        let position = fs.fstatSync(fd).size;
+        let rest = Buffer.alloc(0);
+        while (position > 0) {
+            const size = Math.min(CHUNK_SIZE, position);
+            position -= size;
+            const chunk = Buffer.alloc(size);
+            fs.readSync(fd, chunk, 0, size, position);
+            // "\n" never appears inside a multi-byte UTF-8 character, so splitting bytes is safe
+            const buffer = Buffer.concat([chunk, rest]);
+            let end = buffer.length;
+            for (let i = end - 1; i >= 0; i--) {
+                if (buffer[i] !== 0x0a) continue;
+                yield buffer.toString('utf8', i + 1, end);
+                end = i;
+            }
+            rest = buffer.subarray(0, end);
+        }
+        if (rest.length) yield rest.toString('utf8');
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Latest log entries, newest last
+ * @param {object} [options]
+ * @param {string} [options.level='trace'] - minimum level
+ * @param {number} [options.limit=20]
+ * @returns {{ time: number, level: string, type?: string, msg: string }[]}
+ */
+function readLogs({ level = 'trace', limit = 20 } = {}) {
+    const min = pino.levels.values[level] ?? 0;
+    const entries = [];
+    fileStream.flushSync();
+    for (const { file } of listLogFiles()) {
+        try {
+            for (const line of linesFromEnd(file)) {
+                if (entries.length >= limit) break;
+                if (!line) continue;
+                try {
+                    const entry = JSON.parse(line);
+                    if (entry.level < min) continue;
+                    entries.push({ ...entry, level: pino.levels.labels[entry.level] });
+                } catch {}
+            }
+        } catch {
+            continue;
+        }
+        if (entries.length >= limit) break;
+    }
+    return entries.reverse();
+}
+
+module.exports = { logger, logMessage, readLogs, linesFromEnd, listLogFiles, prune, getLogFileName, logDir, LEVELS };
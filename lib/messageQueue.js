@@ -0,0 +1,196 @@
+// lib/messageQueue.js — Outbound send queue: per-chat FIFO, global pacing, bounded retry
+const EventEmitter = require('events');
+const config = require('../config.js');
+const { logMessage } = require('./logger.js');
+const { TokenBucket } = require('./rateLimiter.js');
+
+const MAX_PENDING_PER_CHAT = 200;
+const MAX_DEAD_LETTERS = 100;
+const MAX_BACKOFF = 15 * 1000;
+
+// Errors worth another attempt: signal session hiccups and transient transport failures
+const SESSION_ERROR = /no sessions?|session not found|closing open session|sessionerror/i;
+const TRANSIENT_ERROR = /timed out|connection closed|rate-overlimit/i;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryable(error) {
+    const message = error?.message || String(error);
+    return SESSION_ERROR.test(message) || TRANSIENT_ERROR.test(message);
+}
+
+// Limits are read from config on every send so .setvar changes apply live
+function configOptions() {
+    return {
+        ratePerMinute: config.SEND_RATE_PER_MINUTE,
+        burst: config.SEND_BURST,
+        maxRetries: config.SEND_MAX_RETRIES
+    };
+}
+
+class MessageQueue extends EventEmitter {
+    /**
+     * @param {object} [options] - fixed limits, overriding the config values
+     */
+    constructor(options = {}) {
+        super();
+        this.overrides = options;
+        this.chats = new Map();   // jid -> { jobs: [], running: boolean }
+        this.deadLetters = [];
+        this.nextId = 1;
+        this.counters = { queued: 0, sent: 0, failed: 0, retried: 0 };
+        this.bucket = new TokenBucket(1, 0);
+        this.sock = null;         // last attached socket
+    }
+
+    get options() {
+        return { ...configOptions(), ...this.overrides };
+    }
+
+    /**
+     * Route every sock.sendMessage call through the queue.
+     * The original method is kept on the socket as `sendMessageNow` for
+     * callers that must bypass the queue.
+     * Jobs are sent on whichever socket was attached last, so sends still
+     * waiting when the connection drops go out on the new one.
+     * @param {object} sock - Baileys socket
+     * @returns {object} the same socket
+     */
+    attach(sock) {
+        this.sock = sock;
+        if (sock.sendMessageNow) return sock;
+        sock.sendMessageNow = sock.sendMessage.bind(sock);
+        sock.sendMessage = (jid, content, options = {}) =>
+            this.enqueue((...args) => this.socket(sock).sendMessageNow(...args), jid, content, options);
+        return sock;
+    }
+
+    /**
+     * The socket a job should use when it runs
+     * @param {object} [fallback] - used until a socket is attached
+     * @returns {object}
+     */
+    socket(fallback) {
+        return this.sock || fallback;
+    }
+
+    /**
+     * Queue a send. Sends to one chat go out in the order they were queued.
+     * @param {Function} send - (jid, content, options) => Promise
+     * @param {string} jid
+     * @param {object} content
+     * @param {object} [options]
+     * @param {object} [extra]
+     * @param {Function} [extra.prepare] - async step run before every attempt, e.g. session warmup
+     * @returns {Promise<object>} resolves with the sent message, rejects after the final failure
+     */
+    enqueue(send, jid, content, options = {}, { prepare } = {}) {
+        if (!jid || typeof jid !== 'string') return Promise.reject(new Error('Invalid recipient JID'));
+
+        let chat = this.chats.get(jid);
+        if (!chat) {
+            chat = { jobs: [], running: false };
+            this.chats.set(jid, chat);
+        }
+        if (chat.jobs.length >= MAX_PENDING_PER_CHAT) {
+            return Promise.reject(new Error(`Send queue for ${jid} is full`));
+        }
+
+        return new Promise((resolve, reject) => {
+            chat.jobs.push({ id: this.nextId++, send, jid, content, options, prepare, resolve, reject });
+            this.counters.queued++;
+            this.drain(jid);
+        });
+    }
+
+    async drain(jid) {
+        const chat = this.chats.get(jid);
+        if (!chat || chat.running) return;
+        chat.running = true;
+        try {
+            while (chat.jobs.length) {
+                await this.run(chat.jobs[0]);
+                chat.jobs.shift();
+            }
+        } finally {
+            chat.running = false;
+            if (!chat.jobs.length) this.chats.delete(jid);
+        }
+    }
+
+    // Wait for a slot under the global throughput cap
+    async acquire() {
+        const { ratePerMinute, burst } = this.options;
+        this.bucket.capacity = Math.max(1, burst);
+        this.bucket.refillMs = ratePerMinute > 0 ? 60000 / ratePerMinute : 0;
+        while (!this.bucket.take()) await delay(this.bucket.retryAfter());
+    }
+
+    async run(job) {
+        const { maxRetries } = this.options;
+        for (let attempt = 0; ; attempt++) {
+            await this.acquire();
+            try {
+                if (job.prepare) await job.prepare();
+                const result = await job.send(job.jid, job.content, job.options);
+                this.counters.sent++;
+                job.resolve(result);
+                return;
+            } catch (error) {
+                if (attempt < maxRetries && isRetryable(error)) {
+                    this.counters.retried++;
+                    const wait = Math.min(MAX_BACKOFF, 1000 * 2 ** attempt) + Math.floor(Math.random() * 250);
+                    logMessage('WARN', `Send to ${job.jid} failed (${error.message}), retry ${attempt + 1}/${maxRetries} in ${wait}ms`);
+                    await delay(wait);
+                    continue;
+                }
+                this.counters.failed++;
+                this.addDeadLetter(job, error, attempt + 1);
+                job.reject(error);
+                return;
+            }
+        }
+    }
+
+    addDeadLetter(job, error, attempts) {
+        const entry = {
+            id: job.id,
+            jid: job.jid,
+            type: Object.keys(job.content || {})[0] || 'unknown',
+            error: error?.message || String(error),
+            attempts,
+            failedAt: new Date().toISOString()
+        };
+        this.deadLetters.push(entry);
+        if (this.deadLetters.length > MAX_DEAD_LETTERS) this.deadLetters.shift();
+        logMessage('ERROR', `Send to ${job.jid} failed after ${attempts} attempt(s): ${entry.error}`);
+        this.emit('dead-letter', entry);
+    }
+
+    /** @returns {Array<object>} most recent failed sends, oldest first */
+    getDeadLetters() {
+        return [...this.deadLetters];
+    }
+
+    clearDeadLetters() {
+        const count = this.deadLetters.length;
+        this.deadLetters = [];
+        return count;
+    }
+
+    /**
+     * @returns {{queued: number, sent: number, failed: number, retried: number,
+     *   pending: number, chats: number, deadLetters: number}}
+     *   counters are totals since startup; pending/chats are current
+     */
+    getMetrics() {
+        let pending = 0;
+        for (const chat of this.chats.values()) pending += chat.jobs.length;
+        return { ...this.counters, pending, chats: this.chats.size, deadLetters: this.deadLetters.length };
+    }
+}
+
+// Shared instance used by silva.js, handler.js and utils/safeSend.js
+const messageQueue = new MessageQueue();
+
+module.exports = { MessageQueue, messageQueue, isRetryable };
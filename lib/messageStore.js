@@ -0,0 +1,207 @@
+// lib/messageStore.js — Disk-backed message store for anti-delete and getMessage
+const fs = require('fs');
+const path = require('path');
+const { proto, BufferJSON } = require('@whiskeysockets/baileys');
+const config = require('../config.js');
+const { logMessage } = require('./logger.js');
+
+const HOUR = 60 * 60 * 1000;
+const MAX_MODERATED = 1000;
+
+/**
+ * Classify a chat JID into a retention bucket
+ * @param {string} jid
+ * @returns {'group'|'private'|'status'|'newsletter'}
+ */
+function getChatType(jid = '') {
+    if (jid === 'status@broadcast') return 'status';
+    if (jid.endsWith('@g.us')) return 'group';
+    if (jid.endsWith('@newsletter')) return 'newsletter';
+    return 'private';
+}
+
+// ✅ Append-only store: one JSONL file per chat type, with an in-memory
+// index of byte offsets so messages are read back from disk on demand.
+class MessageStore {
+    constructor(dir = path.join(__dirname, '..', 'data', 'messages')) {
+        this.dir = dir;
+        this.index = new Map(); // "jid|id" -> { type, offset, length, timestamp }
+        this.sizes = {};        // type -> current file size in bytes
+        this.compactTimer = null;
+        this.moderated = new Set(); // "jid|id" of messages the bot deleted itself
+    }
+
+    retentionFor(type) {
+        const hours = {
+            group: config.STORE_RETENTION_GROUP,
+            private: config.STORE_RETENTION_PRIVATE,
+            status: config.STORE_RETENTION_STATUS,
+            newsletter: config.STORE_RETENTION_NEWSLETTER
+        }[type];
+        return Math.max(0, Number(hours) || 0) * HOUR;
+    }
+
+    fileFor(type) {
+        return path.join(this.dir, `${type}.jsonl`);
+    }
+
+    static keyOf(jid, id) {
+        return `${jid}|${id}`;
+    }
+
+    init() {
+        if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+        for (const type of ['group', 'private', 'status', 'newsletter']) {
+            this.compactFile(type);
+        }
+        logMessage('INFO', `Message store ready: ${this.index.size} message(s) on disk`);
+
+        if (!this.compactTimer) {
+            this.compactTimer = setInterval(() => this.compact(), HOUR);
+            this.compactTimer.unref?.();
+        }
+    }
+
+    /**
+     * Persist a message if its chat type has a non-zero retention
+     * @param {object} msg - WebMessageInfo
+     */
+    save(msg) {
+        const jid = msg?.key?.remoteJid;
+        if (!jid || !msg.key.id || !msg.message) return;
+
+        const type = getChatType(jid);
+        if (!this.retentionFor(type)) return;
+
+        const timestamp = Date.now();
+        const key = MessageStore.keyOf(jid, msg.key.id);
+        const line = JSON.stringify({ k: key, t: timestamp, m: msg }, BufferJSON.replacer) + '\n';
+        const length = Buffer.byteLength(line);
+
+        try {
+            fs.appendFileSync(this.fileFor(type), line);
+        } catch (e) {
+            logMessage('ERROR', `Message store write failed: ${e.message}`);
+            return;
+        }
+
+        const offset = this.sizes[type] || 0;
+        this.sizes[type] = offset + length;
+        this.index.set(key, { type, offset, length, timestamp });
+    }
+
+    /**
+     * Load a stored message
+     * @param {string} jid
+     * @param {string} id
+     * @returns {object|undefined} WebMessageInfo
+     */
+    load(jid, id) {
+        const entry = this.index.get(MessageStore.keyOf(jid, id));
+        if (!entry) return undefined;
+        if (Date.now() - entry.timestamp > this.retentionFor(entry.type)) return undefined;
+
+        let fd;
+        try {
+            fd = fs.openSync(this.fileFor(entry.type), 'r');
+            const buffer = Buffer.alloc(entry.length);
+            fs.readSync(fd, buffer, 0, entry.length, entry.offset);
+            const record = JSON.parse(buffer.toString('utf8'), BufferJSON.reviver);
+            return proto.WebMessageInfo.fromObject(record.m);
+        } catch (e) {
+            logMessage('WARN', `Message store read failed for ${id}: ${e.message}`);
+            return undefined;
+        } finally {
+            if (fd !== undefined) fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Remember a message the bot is deleting itself (anti-link, anti-bad…)
+     * so anti-delete doesn't report it as a user delete
+     * @param {object} key - message key
+     */
+    markModerated(key) {
+        this.moderated.add(MessageStore.keyOf(key.remoteJid, key.id));
+        // Only recent deletes matter; drop the oldest past the cap
+        if (this.moderated.size > MAX_MODERATED) this.moderated.delete(this.moderated.values().next().value);
+    }
+
+    /**
+     * @param {object} key - message key
+     * @returns {boolean} whether the bot deleted this message itself
+     */
+    isModerated(key) {
+        return this.moderated.has(MessageStore.keyOf(key.remoteJid, key.id));
+    }
+
+    /**
+     * Summarise the chats that have messages in the store
+     * @returns {Array<{ jid: string, type: string, messages: number, lastMessageAt: number }>}
+     *   newest first
+     */
+    listChats() {
+        const chats = new Map();
+        for (const [key, entry] of this.index) {
+            const jid = key.slice(0, key.lastIndexOf('|'));
+            const chat = chats.get(jid) || { jid, type: entry.type, messages: 0, lastMessageAt: 0 };
+            chat.messages++;
+            chat.lastMessageAt = Math.max(chat.lastMessageAt, entry.timestamp);
+            chats.set(jid, chat);
+        }
+        return [...chats.values()].sort((a, b) => b.lastMessageAt - a.lastMessageAt);
+    }
+
+    compact() {
+        for (const type of ['group', 'private', 'status', 'newsletter']) {
+            this.compactFile(type);
+        }
+    }
+
+    // Rewrite a type's file without expired or superseded records and rebuild its offsets
+    compactFile(type) {
+        const file = this.fileFor(type);
+        for (const [key, entry] of this.index) {
+            if (entry.type === type) this.index.delete(key);
+        }
+        this.sizes[type] = 0;
+        if (!fs.existsSync(file)) return;
+
+        const retention = this.retentionFor(type);
+        const now = Date.now();
+        const latest = new Map();
+
+        try {
+            for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+                if (!line) continue;
+                try {
+                    const { k, t } = JSON.parse(line);
+                    if (now - t <= retention) latest.set(k, { line, t });
+                } catch {
+                    // skip a torn line left by an interrupted write
+                }
+            }
+
+            const tmp = `${file}.tmp`;
+            const fd = fs.openSync(tmp, 'w');
+            let offset = 0;
+            for (const [key, { line, t }] of latest) {
+                const data = line + '\n';
+                const length = Buffer.byteLength(data);
+                fs.writeSync(fd, data);
+                this.index.set(key, { type, offset, length, timestamp: t });
+                offset += length;
+            }
+            fs.closeSync(fd);
+            fs.renameSync(tmp, file);
+            this.sizes[type] = offset;
+        } catch (e) {
+            logMessage('ERROR', `Message store compaction failed for ${type}: ${e.message}`);
+            this.sizes[type] = fs.existsSync(file) ? fs.statSync(file).size : 0;
+        }
+    }
+}
+
+const messageStore = new MessageStore();
+
+module.exports = { messageStore, MessageStore, getChatType };
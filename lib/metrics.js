@@ -0,0 +1,230 @@
+// lib/metrics.js — Command usage, error and latency counters, saved to data/metrics.json
+//
+// silva.js records every command it runs and PluginManager records plugin hooks.
+// Counters are kept per command, per chat and per user; only the per-command and
+// per-plugin series are exported to Prometheus (chats and users would explode the label set).
+const fs = require('fs');
+const path = require('path');
+const { logMessage } = require('./logger.js');
+
+const metricsPath = path.join(__dirname, '..', 'data', 'metrics.json');
+
+// Latency histogram bounds in ms (exported as seconds)
+const BUCKETS = [50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+// Chats and users kept; the least active are dropped past this
+const MAX_KEYS = 1000;
+const SAVE_INTERVAL = 60 * 1000;
+
+const emptyCommand = () => ({ calls: 0, errors: 0, timed: 0, totalMs: 0, maxMs: 0, buckets: BUCKETS.map(() => 0), plugin: null, last: null });
+const emptyCounter = () => ({ calls: 0, errors: 0, last: null });
+// Keys are user input (command names), so maps have no prototype: "constructor" is just a key
+const dict = (entries = {}) => Object.assign(Object.create(null), entries);
+
+// Prometheus label values escape backslashes, quotes and newlines
+const label = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const labels = pairs => `{${Object.entries(pairs).map(([k, v]) => `${k}="${label(v)}"`).join(',')}}`;
+
+class Metrics {
+    constructor(file = metricsPath) {
+        this.file = file;
+        this.dirty = false;
+        this.timer = null;
+        this.reset();
+        this.load();
+    }
+
+    reset() {
+        this.since = Date.now();
+        this.commands = dict();
+        this.chats = dict();
+        this.users = dict();
+        this.hooks = dict(); // "plugin id" -> { [hook]: { calls, errors, totalMs } }
+        this.dirty = true;
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.file)) return;
+            const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            this.since = saved.since || this.since;
+            this.commands = dict(saved.commands);
+            this.chats = dict(saved.chats);
+            this.users = dict(saved.users);
+            this.hooks = dict(saved.hooks);
+            this.dirty = false;
+        } catch (e) {
+            logMessage('WARN', `Metrics unreadable, starting fresh: ${e.message}`);
+        }
+    }
+
+    save() {
+        if (!this.dirty) return;
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(this.file, JSON.stringify({
+                since: this.since,
+                commands: this.commands,
+                chats: this.chats,
+                users: this.users,
+                hooks: this.hooks
+            }));
+            this.dirty = false;
+        } catch (e) {
+            logMessage('ERROR', `Failed to save metrics: ${e.message}`);
+        }
+    }
+
+    // Save periodically and on exit rather than on every command
+    autosave() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.save(), SAVE_INTERVAL);
+        this.timer.unref?.();
+        process.on('exit', () => this.save());
+    }
+
+    /**
+     * Record one command invocation
+     * @param {object} entry
+     * @param {string} entry.command
+     * @param {string} [entry.plugin] - plugin id, or 'core'
+     * @param {string} [entry.chat] - chat JID
+     * @param {string} [entry.user] - sender JID
+     * @param {number} [entry.ms] - run time; omitted when the command wasn't timed
+     * @param {boolean} [entry.error]
+     */
+    command({ command, plugin, chat, user, ms, error = false }) {
+        const now = Date.now();
+        const stats = this.commands[command] ??= emptyCommand();
+        stats.calls++;
+        stats.last = now;
+        if (plugin) stats.plugin = plugin;
+        if (error) stats.errors++;
+        if (typeof ms === 'number') {
+            stats.timed++;
+            stats.totalMs += ms;
+            stats.maxMs = Math.max(stats.maxMs, ms);
+            const bucket = BUCKETS.findIndex(bound => ms <= bound);
+            if (bucket !== -1) stats.buckets[bucket]++;
+        }
+
+        for (const [map, key] of [[this.chats, chat], [this.users, user]]) {
+            if (!key) continue;
+            const counter = map[key] ??= emptyCounter();
+            counter.calls++;
+            counter.last = now;
+            if (error) counter.errors++;
+        }
+        if (Object.keys(this.chats).length > MAX_KEYS) this.trim(this.chats);
+        if (Object.keys(this.users).length > MAX_KEYS) this.trim(this.users);
+        this.dirty = true;
+    }
+
+    /**
+     * Record a plugin hook run (onMessage, onStatus, …)
+     * @param {string} plugin - plugin id
+     * @param {string} hook
+     * @param {number} ms
+     * @param {boolean} [error]
+     */
+    hook(plugin, hook, ms, error = false) {
+        const stats = (this.hooks[plugin] ??= dict())[hook] ??= { calls: 0, errors: 0, totalMs: 0 };
+        stats.calls++;
+        stats.totalMs += ms;
+        if (error) stats.errors++;
+        this.dirty = true;
+    }
+
+    // Drop the least used tenth of a map
+    trim(map) {
+        const keys = Object.keys(map).sort((a, b) => map[a].calls - map[b].calls || (map[a].last || 0) - (map[b].last || 0));
+        for (const key of keys.slice(0, Math.ceil(keys.length / 10))) delete map[key];
+    }
+
+    /**
+     * Most used entries of a dimension
+     * @param {'commands'|'chats'|'users'} kind
+     * @param {number} [limit=5]
+     * @returns {Array<{ key: string, calls: number, errors: number, avgMs?: number }>}
+     */
+    top(kind, limit = 5) {
+        return Object.entries(this[kind] || {})
+            .map(([key, stats]) => ({ key, ...stats, avgMs: stats.timed ? Math.round(stats.totalMs / stats.timed) : undefined }))
+            .sort((a, b) => b.calls - a.calls)
+            .slice(0, limit);
+    }
+
+    /**
+     * @returns {{ since: number, calls: number, errors: number, avgMs: number|null, commands: number, chats: number, users: number }}
+     */
+    summary() {
+        let calls = 0, errors = 0, timed = 0, totalMs = 0;
+        for (const stats of Object.values(this.commands)) {
+            calls += stats.calls;
+            errors += stats.errors;
+            timed += stats.timed;
+            totalMs += stats.totalMs;
+        }
+        return {
+            since: this.since,
+            calls,
+            errors,
+            avgMs: timed ? Math.round(totalMs / timed) : null,
+            commands: Object.keys(this.commands).length,
+            chats: Object.keys(this.chats).length,
+            users: Object.keys(this.users).length
+        };
+    }
+
+    /**
+     * Prometheus text exposition of the counters plus the bot status gauges
+     * @param {object} [status] - getStatus() from lib/api.js
+     * @returns {string}
+     */
+    prometheus(status) {
+        const out = [];
+        const metric = (name, type, help, rows) => {
+            out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for (const [pairs, value] of rows) out.push(`${name}${pairs ? labels(pairs) : ''} ${value}`);
+        };
+        const commands = Object.entries(this.commands);
+
+        metric('silva_commands_total', 'counter', 'Commands run',
+            commands.map(([command, s]) => [{ command, plugin: s.plugin || 'unknown' }, s.calls]));
+        metric('silva_command_errors_total', 'counter', 'Commands that threw',
+            commands.map(([command, s]) => [{ command, plugin: s.plugin || 'unknown' }, s.errors]));
+
+        out.push('# HELP silva_command_duration_seconds Command run time', '# TYPE silva_command_duration_seconds histogram');
+        for (const [command, s] of commands) {
+            if (!s.timed) continue;
+            let cumulative = 0;
+            BUCKETS.forEach((bound, i) => {
+                cumulative += s.buckets[i];
+                out.push(`silva_command_duration_seconds_bucket${labels({ command, le: bound / 1000 })} ${cumulative}`);
+            });
+            out.push(`silva_command_duration_seconds_bucket${labels({ command, le: '+Inf' })} ${s.timed}`);
+            out.push(`silva_command_duration_seconds_sum${labels({ command })} ${s.totalMs / 1000}`);
+            out.push(`silva_command_duration_seconds_count${labels({ command })} ${s.timed}`);
+        }
+
+        const hooks = Object.entries(this.hooks).flatMap(([plugin, byHook]) =>
+            Object.entries(byHook).map(([hook, s]) => [{ plugin, hook }, s]));
+        metric('silva_plugin_hook_runs_total', 'counter', 'Plugin hook runs', hooks.map(([pairs, s]) => [pairs, s.calls]));
+        metric('silva_plugin_hook_errors_total', 'counter', 'Plugin hook runs that threw', hooks.map(([pairs, s]) => [pairs, s.errors]));
+        metric('silva_plugin_hook_seconds_total', 'counter', 'Time spent in plugin hooks', hooks.map(([pairs, s]) => [pairs, s.totalMs / 1000]));
+
+        if (status) {
+            metric('silva_up', 'gauge', 'Whether WhatsApp is connected', [[null, status.connected ? 1 : 0]]);
+            metric('silva_uptime_seconds', 'gauge', 'Process uptime', [[null, status.uptime]]);
+            metric('silva_plugins', 'gauge', 'Plugins by state', Object.entries(status.plugins).map(([state, n]) => [{ state }, n]));
+            metric('silva_send_queue_pending', 'gauge', 'Outgoing messages waiting to be sent', [[null, status.queue.pending]]);
+            metric('silva_messages_sent_total', 'counter', 'Messages sent since start', [[null, status.queue.sent || 0]]);
+            metric('silva_messages_failed_total', 'counter', 'Sends that gave up since start', [[null, status.queue.failed || 0]]);
+        }
+        return out.join('\n') + '\n';
+    }
+}
+
+// Shared instance used by silva.js, PluginManager and the .stats command
+const metrics = new Metrics();
+
+module.exports = { Metrics, metrics, BUCKETS };
@@ -0,0 +1,480 @@
+// lib/pluginManager.js — Unified loader for silvaxlab/ and plugins/ style plugins
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { logMessage } = require('./logger.js');
+const { metrics } = require('./metrics.js');
+const { LEVELS } = require('./roles.js');
+
+const rootDir = path.join(__dirname, '..');
+const statePath = path.join(rootDir, 'data', 'plugins.json');
+const WATCH_DEBOUNCE = 300;
+
+const escapeRegex = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Optional lifecycle and passive event hooks a plugin may declare.
+// onFilter sees every incoming message, commands included, before dispatch; returning true drops it.
+const HOOKS = ['onLoad', 'onUnload', 'onFilter', 'onMessage', 'onGroupParticipantsUpdate', 'onStatus', 'onCall'];
+
+// Minimum role to run a command: an explicit `role`, else implied by `owner`
+function pickRole(source, file) {
+    if (source.role === undefined) return source.owner ? 'owner' : 'user';
+    const role = String(source.role).toLowerCase();
+    if (role in LEVELS && role !== 'banned') return role;
+    logMessage('WARN', `Plugin ${file} has unknown role "${source.role}", treating it as owner only`);
+    return 'owner';
+}
+
+function pickHooks(source) {
+    const hooks = {};
+    for (const name of HOOKS) {
+        if (typeof source[name] === 'function') hooks[name] = source[name].bind(source);
+    }
+    return hooks;
+}
+
+/**
+ * Normalise a plugin module into a registry entry.
+ *
+ * Two shapes are accepted:
+ *  - silvaxlab: module.exports.handler = { command: RegExp, execute(context), ...hooks }
+ *  - plugins/:  module.exports = { commands: [], run(sock, message, args, context), onMessage(sock, message, text, context) }
+ *
+ * Either shape may set `role` ('user' | 'admin' | 'sudo' | 'owner') as the
+ * minimum role needed to run its command; `owner: true` implies 'owner'.
+ * `cooldown` (seconds) limits how often one user may run the command.
+ *
+ * Hooks (all optional): onLoad(sock), onUnload(), onMessage(ctx),
+ * onGroupParticipantsUpdate(ctx), onStatus(ctx), onCall(ctx). A silvaxlab
+ * plugin may declare hooks only and no command.
+ *
+ * @param {object} mod - the required plugin module
+ * @param {string} file - plugin filename
+ * @returns {object|null} normalised plugin, or null if the shape is not recognised
+ */
+function normalizePlugin(mod, file) {
+    if (!mod) return null;
+
+    // silvaxlab format
+    if (mod.handler && typeof mod.handler === 'object') {
+        const handler = mod.handler;
+        const hooks = pickHooks(handler);
+        const hasCommand = handler.command instanceof RegExp && typeof handler.execute === 'function';
+        if (!hasCommand && !Object.keys(hooks).length) return null;
+        return {
+            format: 'silvaxlab',
+            command: hasCommand ? handler.command : null,
+            commands: [],
+            help: handler.help || [],
+            tags: handler.tags || [],
+            group: handler.group || false,
+            private: handler.private || false,
+            admin: handler.admin || false,
+            botAdmin: handler.botAdmin || false,
+            owner: handler.owner || false,
+            role: pickRole(handler, file),
+            cooldown: Number(handler.cooldown) || 0,
+            noPrefix: handler.noPrefix || false,
+            execute: hasCommand ? context => handler.execute(context) : null,
+            hooks,
+            filename: file
+        };
+    }
+
+    // plugins/ format (the old handler.js convention)
+    const commands = mod.commands || (mod.name ? [mod.name] : []);
+    const run = typeof mod.run === 'function' ? mod.run
+        : typeof mod.handler === 'function' ? mod.handler
+        : null;
+    const { onMessage, ...hooks } = pickHooks(mod);
+    if (!(commands.length && run) && !onMessage && !Object.keys(hooks).length) return null;
+    if (onMessage) hooks.onMessage = context => onMessage(context.sock, context.message, context.text, context);
+
+    // Here `group`/`private` mean "allowed in", defaulting to true
+    const allowInGroup = mod.group ?? true;
+    const allowInPrivate = mod.private ?? true;
+
+    return {
+        format: 'legacy',
+        command: commands.length
+            ? new RegExp(`^(${commands.map(c => escapeRegex(String(c))).join('|')})$`, 'i')
+            : null,
+        commands: commands.map(c => String(c).toLowerCase()),
+        help: mod.help ? [].concat(mod.help) : [mod.description || 'No description'],
+        tags: mod.tags || [mod.category || 'misc'],
+        group: !allowInPrivate,
+        private: !allowInGroup,
+        admin: mod.admin || false,
+        botAdmin: mod.botAdmin || false,
+        owner: mod.owner || false,
+        role: pickRole(mod, file),
+        cooldown: Number(mod.cooldown) || 0,
+        noPrefix: mod.noPrefix || false,
+        execute: run ? context => run(context.sock, context.message, context.args, context) : null,
+        hooks,
+        filename: file
+    };
+}
+
+// ==========================================
+// ✅ PLUGIN MANAGER CLASS
+// ==========================================
+class PluginManager extends EventEmitter {
+    constructor() {
+        super();
+        this.plugins = new Map();   // "dir/file" -> normalised plugin
+        this.errors = new Map();    // "dir/file" -> last load error message
+        this.disabled = new Set(this.loadState().disabled || []);
+        this.dirs = [];
+        this.watchers = [];
+        this.watchTimers = new Map();
+        this.sock = null;
+    }
+
+    get size() {
+        return [...this.plugins.values()].filter(p => p.command).length;
+    }
+
+    loadState() {
+        try {
+            if (fs.existsSync(statePath)) return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+        } catch (e) {
+            logMessage('WARN', `Plugin state unreadable: ${e.message}`);
+        }
+        return {};
+    }
+
+    saveState() {
+        try {
+            fs.mkdirSync(path.dirname(statePath), { recursive: true });
+            fs.writeFileSync(statePath, JSON.stringify({ disabled: [...this.disabled] }, null, 2));
+        } catch (e) {
+            logMessage('ERROR', `Failed to save plugin state: ${e.message}`);
+        }
+    }
+
+    async loadPlugins(dirs = ['silvaxlab', 'plugins']) {
+        this.dirs = [...new Set([...this.dirs, ...[].concat(dirs)])];
+        for (const dir of [].concat(dirs)) {
+            try {
+                const pluginDir = path.join(rootDir, dir);
+
+                if (!fs.existsSync(pluginDir)) {
+                    if (dir === 'silvaxlab') {
+                        fs.mkdirSync(pluginDir, { recursive: true });
+                        logMessage('INFO', `Created plugin directory: ${dir}`);
+                    }
+                    continue;
+                }
+
+                const pluginFiles = fs.readdirSync(pluginDir)
+                    .filter(file => file.endsWith('.js') && !file.startsWith('_'));
+
+                logMessage('INFO', `Found ${pluginFiles.length} plugin(s) in ${dir}`);
+
+                for (const file of pluginFiles) {
+                    this.loadPlugin(dir, file);
+                }
+            } catch (error) {
+                logMessage('ERROR', `Plugin loading error: ${error.message}`);
+            }
+        }
+
+        logMessage('SUCCESS', `✅ Total plugins loaded: ${this.plugins.size}`);
+    }
+
+    loadPlugin(dir, file) {
+        const id = `${dir}/${file}`;
+        try {
+            const pluginPath = path.join(rootDir, dir, file);
+            delete require.cache[require.resolve(pluginPath)];
+
+            const plugin = normalizePlugin(require(pluginPath), file);
+            if (!plugin) {
+                throw new Error('invalid format - expected handler.command or commands[]/run');
+            }
+
+            // Replace any previous version so stale commands don't linger
+            if (this.plugins.has(id)) this.unloadPlugin(id);
+
+            const entry = { ...plugin, id, dir, name: file.replace(/\.js$/, '') };
+            this.plugins.set(id, entry);
+            this.errors.delete(id);
+            logMessage('SUCCESS', `✅ Loaded plugin: ${id.replace('.js', '')}`);
+            if (this.sock) this.runHook(entry, 'onLoad', this.sock);
+            return entry;
+        } catch (error) {
+            this.errors.set(id, error.message);
+            logMessage('ERROR', `Failed to load plugin ${id}: ${error.message}`, { plugin: id });
+            return null;
+        }
+    }
+
+    unloadPlugin(id) {
+        const plugin = this.plugins.get(id);
+        if (!plugin) return false;
+
+        this.plugins.delete(id);
+        this.runHook(plugin, 'onUnload');
+        try {
+            delete require.cache[require.resolve(path.join(rootDir, id))];
+        } catch {
+            // file already removed from disk
+        }
+        logMessage('INFO', `Unloaded plugin: ${id.replace('.js', '')}`);
+        return true;
+    }
+
+    /**
+     * Resolve a user-supplied plugin name ("anticall", "anticall.js", "silvaxlab/anticall")
+     * to plugin ids, whether loaded, failed or only present on disk
+     * @param {string} name
+     * @returns {string[]}
+     */
+    resolve(name) {
+        const wanted = String(name || '').toLowerCase().replace(/\.js$/, '');
+        if (!wanted) return [];
+
+        const ids = new Set([...this.plugins.keys(), ...this.errors.keys()]);
+        for (const dir of this.dirs) {
+            const pluginDir = path.join(rootDir, dir);
+            if (!fs.existsSync(pluginDir)) continue;
+            for (const file of fs.readdirSync(pluginDir)) {
+                if (file.endsWith('.js') && !file.startsWith('_')) ids.add(`${dir}/${file}`);
+            }
+        }
+
+        return [...ids].filter(id => {
+            const bare = id.toLowerCase().replace(/\.js$/, '');
+            return bare === wanted || bare.split('/')[1] === wanted;
+        });
+    }
+
+    /**
+     * Reload one plugin by name, or every plugin when no name is given
+     * @param {string} [name]
+     * @returns {{ loaded: string[], failed: Array<{ id: string, error: string }> }}
+     */
+    reload(name) {
+        const result = { loaded: [], failed: [] };
+
+        if (!name) {
+            for (const id of [...this.plugins.keys()]) this.unloadPlugin(id);
+            this.errors.clear();
+            for (const dir of this.dirs) {
+                const pluginDir = path.join(rootDir, dir);
+                if (!fs.existsSync(pluginDir)) continue;
+                for (const file of fs.readdirSync(pluginDir)) {
+                    if (file.endsWith('.js') && !file.startsWith('_')) this.reloadFile(dir, file, result);
+                }
+            }
+            return result;
+        }
+
+        for (const id of this.resolve(name)) {
+            const [dir, file] = id.split('/');
+            if (fs.existsSync(path.join(rootDir, id))) {
+                this.reloadFile(dir, file, result);
+            } else {
+                this.unloadPlugin(id);
+                this.errors.delete(id);
+            }
+        }
+        return result;
+    }
+
+    reloadFile(dir, file, result) {
+        const id = `${dir}/${file}`;
+        if (this.loadPlugin(dir, file)) result.loaded.push(id);
+        else result.failed.push({ id, error: this.errors.get(id) });
+    }
+
+    setDisabled(id, disabled) {
+        if (disabled) this.disabled.add(id);
+        else this.disabled.delete(id);
+        this.saveState();
+        this.emit('change', { id, action: disabled ? 'disabled' : 'enabled' });
+    }
+
+    isEnabled(plugin) {
+        return !this.disabled.has(plugin.id);
+    }
+
+    // ✅ Watch plugin directories and load, reload or unload files in place
+    watch() {
+        this.unwatch();
+        for (const dir of this.dirs) {
+            const pluginDir = path.join(rootDir, dir);
+            if (!fs.existsSync(pluginDir)) continue;
+            try {
+                const watcher = fs.watch(pluginDir, (eventType, filename) => {
+                    if (!filename || !filename.endsWith('.js') || filename.startsWith('_')) return;
+                    const id = `${dir}/${filename}`;
+                    clearTimeout(this.watchTimers.get(id));
+                    this.watchTimers.set(id, setTimeout(() => {
+                        this.watchTimers.delete(id);
+                        this.onFileChanged(dir, filename);
+                    }, WATCH_DEBOUNCE));
+                });
+                watcher.on('error', err => logMessage('WARN', `Plugin watcher error in ${dir}: ${err.message}`));
+                this.watchers.push(watcher);
+                logMessage('INFO', `👀 Watching ${dir} for plugin changes`);
+            } catch (e) {
+                logMessage('WARN', `Cannot watch ${dir}: ${e.message}`);
+            }
+        }
+    }
+
+    unwatch() {
+        for (const watcher of this.watchers) watcher.close();
+        this.watchers = [];
+    }
+
+    onFileChanged(dir, file) {
+        const id = `${dir}/${file}`;
+        if (fs.existsSync(path.join(rootDir, id))) {
+            const plugin = this.loadPlugin(dir, file);
+            this.emit('change', { id, action: plugin ? 'reloaded' : 'failed', error: this.errors.get(id) });
+        } else {
+            this.unloadPlugin(id);
+            this.errors.delete(id);
+            this.emit('change', { id, action: 'removed' });
+        }
+    }
+
+    /**
+     * Find the plugin registered for a command word
+     * @param {string} command
+     * @returns {object|undefined}
+     */
+    findCommand(command) {
+        for (const plugin of this.plugins.values()) {
+            if (!this.isEnabled(plugin)) continue;
+            if (plugin.command && plugin.command.test(command)) return plugin;
+        }
+        return undefined;
+    }
+
+    /**
+     * Hand the active socket to plugins; onLoad runs for every plugin on each new connection,
+     * after onUnload has run for the previous socket
+     * @param {object} sock
+     */
+    async attach(sock) {
+        if (this.sock && this.sock !== sock) await this.detach();
+        this.sock = sock;
+        for (const plugin of this.plugins.values()) {
+            await this.runHook(plugin, 'onLoad', sock);
+        }
+    }
+
+    // Let plugins drop whatever they registered on the current socket
+    async detach() {
+        if (!this.sock) return;
+        this.sock = null;
+        for (const plugin of this.plugins.values()) {
+            await this.runHook(plugin, 'onUnload');
+        }
+    }
+
+    async runHook(plugin, hook, ...args) {
+        if (!plugin.hooks?.[hook]) return undefined;
+        const started = Date.now();
+        try {
+            const result = await plugin.hooks[hook](...args);
+            metrics.hook(plugin.id, hook, Date.now() - started);
+            return result;
+        } catch (err) {
+            metrics.hook(plugin.id, hook, Date.now() - started, true);
+            logMessage('ERROR', `${hook} in ${plugin.id} failed: ${err.message}`, { plugin: plugin.id });
+            return undefined;
+        }
+    }
+
+    /**
+     * Run a passive hook on every enabled plugin, isolating errors per plugin.
+     * When the context carries isGroup, group/private-only plugins are filtered.
+     * @param {string} hook
+     * @param {object} context
+     */
+    async dispatch(hook, context) {
+        for (const plugin of this.plugins.values()) {
+            if (!plugin.hooks?.[hook] || !this.isEnabled(plugin)) continue;
+            if (typeof context.isGroup === 'boolean') {
+                if ((context.isGroup && plugin.private) || (!context.isGroup && plugin.group)) continue;
+            }
+            await this.runHook(plugin, hook, context);
+        }
+    }
+
+    async dispatchMessage(context) {
+        await this.dispatch('onMessage', context);
+    }
+
+    /**
+     * Run the onFilter hooks (anti-link, anti-bad…) until one handles the message
+     * @param {object} context - same shape as dispatchMessage()
+     * @returns {Promise<boolean>} true when a filter acted on the message and it must not be processed further
+     */
+    async filter(context) {
+        for (const plugin of this.plugins.values()) {
+            if (!plugin.hooks?.onFilter || !this.isEnabled(plugin)) continue;
+            if ((context.isGroup && plugin.private) || (!context.isGroup && plugin.group)) continue;
+            if (await this.runHook(plugin, 'onFilter', context) === true) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Plain command words of the enabled plugins. Regexes that aren't a simple
+     * ^(a|b)$ list of words can't be enumerated and are left out.
+     * @returns {string[]}
+     */
+    getCommandNames() {
+        const names = new Set();
+        for (const plugin of this.plugins.values()) {
+            if (!plugin.command || !this.isEnabled(plugin)) continue;
+            for (const word of this.commandNamesOf(plugin)) names.add(word);
+        }
+        return [...names];
+    }
+
+    /**
+     * Every name a plugin answers to that can be spelled out ("schedule", "remind", …)
+     * @param {object} plugin
+     * @returns {string[]}
+     */
+    commandNamesOf(plugin) {
+        if (!plugin?.command) return [];
+        const words = plugin.commands?.length
+            ? plugin.commands
+            : (/^\^\(?([\w-]+(?:\|[\w-]+)*)\)?\$$/.exec(plugin.command.source)?.[1].split('|') || []);
+        return words.map(word => word.toLowerCase());
+    }
+
+    getCommandList() {
+        const commands = [];
+        for (const plugin of this.plugins.values()) {
+            if (!plugin.command || !this.isEnabled(plugin)) continue;
+            commands.push({
+                command: plugin.commands.length
+                    ? plugin.commands.join(',')
+                    : plugin.command.source.replace(/^\^\(|\$/g, '').replace(/\|/g, ',').replace(/\$/g, '').replace(/i\)\$/g, '').replace(/\)$/, ''),
+                help: plugin.help[0] || 'No description',
+                tags: plugin.tags,
+                group: plugin.group,
+                private: plugin.private,
+                admin: plugin.admin,
+                owner: plugin.owner,
+                role: plugin.role,
+                botAdmin: plugin.botAdmin
+            });
+        }
+        return commands;
+    }
+}
+
+// Shared instance used by silva.js
+const pluginManager = new PluginManager();
+
+module.exports = { PluginManager, pluginManager, normalizePlugin, HOOKS };
@@ -0,0 +1,82 @@
+// lib/prefix.js — Decide whether a message is a command: prefixes, @mentions and prefix-less commands
+const config = require('../config.js');
+
+// Used when PREFIX is set but left empty
+const DEFAULT_PREFIXES = ['.', '!', '/', '#'];
+
+/**
+ * Normalise a prefix setting: a space separated string ("! ."), a list, or empty for the defaults
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+function parsePrefixes(value) {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(/\s+/);
+    const prefixes = [...new Set(list.map(p => String(p).trim()).filter(Boolean))];
+    return prefixes.length ? prefixes : DEFAULT_PREFIXES;
+}
+
+/**
+ * The bot's own number and LID (user part only), as they appear in "@123…" mentions
+ * @param {object} sock
+ * @returns {string[]}
+ */
+function botIds(sock) {
+    return [sock?.user?.id, sock?.user?.lid]
+        .filter(Boolean)
+        .map(jid => jid.split('@')[0].split(':')[0]);
+}
+
+/**
+ * Whether the message @mentions the bot
+ * @param {object} message - m.message
+ * @param {string[]} ids - from botIds()
+ * @returns {boolean}
+ */
+function mentionsBot(message, ids) {
+    const type = Object.keys(message || {})[0];
+    const mentions = message?.[type]?.contextInfo?.mentionedJid || [];
+    return mentions.some(jid => ids.includes(String(jid).split('@')[0].split(':')[0]));
+}
+
+// Commands config.NO_PREFIX_COMMANDS lets run without a prefix
+function noPrefixCommands() {
+    return String(config.NO_PREFIX_COMMANDS || '').split(',').map(c => c.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Work out whether a message is a command and strip whatever triggered it.
+ * Accepted forms: "<prefix>cmd", "@bot cmd" / "@bot <prefix>cmd" when mentioned,
+ * and a bare "cmd" when isNoPrefix(cmd) says so.
+ * @param {string} content - message text
+ * @param {object} options
+ * @param {string[]} options.prefixes - from parsePrefixes()
+ * @param {string[]} [options.mentionIds] - botIds(), only when the message really mentions the bot
+ * @param {(command: string) => boolean} [options.isNoPrefix]
+ * @returns {{ prefix: string, text: string, trigger: 'prefix'|'mention'|'noprefix' }|null}
+ *   prefix is the one used, or the chat's first prefix for mentions and prefix-less commands
+ */
+function parseCommand(content, { prefixes, mentionIds = [], isNoPrefix }) {
+    let text = String(content || '').trim();
+    let mentioned = false;
+
+    const mention = /^@(\d+)\s*/.exec(text);
+    if (mention && mentionIds.includes(mention[1])) {
+        text = text.slice(mention[0].length);
+        mentioned = true;
+    }
+
+    // Longest first so "!!" wins over "!"
+    const prefix = [...prefixes].sort((a, b) => b.length - a.length).find(p => text.startsWith(p));
+    if (prefix) {
+        const rest = text.slice(prefix.length).trim();
+        if (rest) return { prefix, text: rest, trigger: mentioned ? 'mention' : 'prefix' };
+    }
+    if (!text) return null;
+    if (mentioned) return { prefix: prefixes[0], text, trigger: 'mention' };
+
+    const first = text.split(/\s+/)[0].toLowerCase();
+    if (isNoPrefix?.(first)) return { prefix: prefixes[0], text, trigger: 'noprefix' };
+    return null;
+}
+
+module.exports = { DEFAULT_PREFIXES, parsePrefixes, botIds, mentionsBot, noPrefixCommands, parseCommand };
@@ -0,0 +1,198 @@
+// lib/rateLimiter.js — Per-user / per-command token buckets and flood detection
+const config = require('../config.js');
+const { logMessage } = require('./logger.js');
+
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+
+// Limits are read from config on every check so .setvar changes apply live
+function configOptions() {
+    return {
+        enabled: config.RATE_LIMIT,
+        burst: config.RATE_LIMIT_BURST,
+        refillMs: config.RATE_LIMIT_REFILL_SECONDS * 1000,
+        floodLimit: config.FLOOD_LIMIT,
+        floodWindowMs: config.FLOOD_WINDOW_SECONDS * 1000,
+        floodBlockMs: config.FLOOD_BLOCK_SECONDS * 1000,
+        noticeMs: 30 * 1000
+    };
+}
+
+/**
+ * A bucket holding up to `capacity` tokens, refilled one token every `refillMs`.
+ * Refill is computed lazily when the bucket is read.
+ */
+class TokenBucket {
+    constructor(capacity, refillMs) {
+        this.capacity = capacity;
+        this.refillMs = refillMs;
+        this.tokens = capacity;
+        this.updated = Date.now();
+    }
+
+    refill(now = Date.now()) {
+        if (this.refillMs > 0) {
+            const gained = (now - this.updated) / this.refillMs;
+            this.tokens = Math.min(this.capacity, this.tokens + gained);
+        } else {
+            this.tokens = this.capacity;
+        }
+        this.updated = now;
+    }
+
+    /** @returns {number} ms until a token is available (0 when one is available now) */
+    retryAfter() {
+        this.refill();
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) * this.refillMs);
+    }
+
+    /** @returns {boolean} whether a token was taken */
+    take() {
+        if (this.retryAfter() > 0) return false;
+        this.tokens -= 1;
+        return true;
+    }
+
+    get idle() {
+        this.refill();
+        return this.tokens >= this.capacity;
+    }
+}
+
+class RateLimiter {
+    /**
+     * @param {object} [options] - fixed limits, overriding the config values
+     */
+    constructor(options = {}) {
+        this.overrides = options;
+        this.userBuckets = new Map();    // user -> TokenBucket
+        this.commandBuckets = new Map(); // user|command -> TokenBucket
+        this.hits = new Map();           // user -> recent command timestamps
+        this.blocked = new Map();        // user -> blocked until
+        this.notices = new Map();        // user -> last "slow down" reply
+
+        this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL);
+        this.pruneTimer.unref?.();
+    }
+
+    get options() {
+        return { ...configOptions(), ...this.overrides };
+    }
+
+    getBucket(map, key, capacity, refillMs) {
+        let bucket = map.get(key);
+        if (!bucket) {
+            bucket = new TokenBucket(capacity, refillMs);
+            map.set(key, bucket);
+        }
+        // Pick up limit changes made at runtime
+        bucket.capacity = capacity;
+        bucket.refillMs = refillMs;
+        return bucket;
+    }
+
+    // The "slow down" reply is itself limited to one per noticeMs per user
+    shouldNotify(user, now) {
+        if (now - (this.notices.get(user) || 0) < this.options.noticeMs) return false;
+        this.notices.set(user, now);
+        return true;
+    }
+
+    isBlocked(user) {
+        const until = this.blocked.get(user);
+        if (!until) return false;
+        if (until > Date.now()) return true;
+        this.blocked.delete(user);
+        return false;
+    }
+
+    // Record a command attempt and block the user if they went over the flood limit
+    recordHit(user, now) {
+        const { floodLimit, floodWindowMs, floodBlockMs } = this.options;
+        const hits = (this.hits.get(user) || []).filter(t => now - t < floodWindowMs);
+        hits.push(now);
+        this.hits.set(user, hits);
+        if (floodLimit > 0 && hits.length > floodLimit) {
+            this.blocked.set(user, now + floodBlockMs);
+            this.hits.delete(user);
+            logMessage('WARN', `Flood detected from ${user}, ignoring for ${Math.round(floodBlockMs / 1000)}s`);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Check whether a user may run a command right now. Consumes tokens when allowed.
+     * @param {string} user - sender JID
+     * @param {string} command - command name
+     * @param {number} [cooldown=0] - per-user cooldown for this command in seconds
+     * @returns {{allowed: boolean, reason?: 'flood'|'rate'|'cooldown', retryAfter?: number, notify?: boolean}}
+     *   `retryAfter` is in ms; `notify` says whether to send a "slow down" reply
+     */
+    check(user, command, cooldown = 0) {
+        const options = this.options;
+        if (!options.enabled || !user) return { allowed: true };
+        const now = Date.now();
+
+        if (this.isBlocked(user)) {
+            return { allowed: false, reason: 'flood', retryAfter: this.blocked.get(user) - now, notify: false };
+        }
+        if (this.recordHit(user, now)) {
+            this.notices.set(user, now);
+            return { allowed: false, reason: 'flood', retryAfter: options.floodBlockMs, notify: true };
+        }
+
+        const commandBucket = cooldown > 0
+            ? this.getBucket(this.commandBuckets, `${user}|${command}`, 1, cooldown * 1000)
+            : null;
+        const cooldownLeft = commandBucket?.retryAfter() || 0;
+        if (cooldownLeft > 0) {
+            return { allowed: false, reason: 'cooldown', retryAfter: cooldownLeft, notify: this.shouldNotify(user, now) };
+        }
+
+        const userBucket = this.getBucket(this.userBuckets, user, options.burst, options.refillMs);
+        if (!userBucket.take()) {
+            return { allowed: false, reason: 'rate', retryAfter: userBucket.retryAfter(), notify: this.shouldNotify(user, now) };
+        }
+        commandBucket?.take();
+        return { allowed: true };
+    }
+
+    // Drop state for users who have gone quiet
+    prune() {
+        const now = Date.now();
+        const { floodWindowMs, noticeMs } = this.options;
+        for (const map of [this.userBuckets, this.commandBuckets]) {
+            for (const [key, bucket] of map) if (bucket.idle) map.delete(key);
+        }
+        for (const [user, hits] of this.hits) {
+            if (!hits.some(t => now - t < floodWindowMs)) this.hits.delete(user);
+        }
+        for (const user of this.blocked.keys()) this.isBlocked(user);
+        for (const [user, last] of this.notices) {
+            if (now - last >= noticeMs) this.notices.delete(user);
+        }
+    }
+}
+
+/**
+ * Build the reply for a rejected check
+ * @param {object} result - result of RateLimiter#check
+ * @param {string} command - command name with prefix, e.g. ".play"
+ * @returns {string}
+ */
+function formatLimitMessage(result, command) {
+    const seconds = Math.max(1, Math.ceil(result.retryAfter / 1000));
+    switch (result.reason) {
+        case 'flood':
+            return `🐢 Slow down! You're sending commands too fast, so I'll ignore you for ${seconds}s.`;
+        case 'cooldown':
+            return `⏳ Please wait ${seconds}s before using *${command}* again.`;
+        default:
+            return `🐢 Slow down a little, try again in ${seconds}s.`;
+    }
+}
+
+// Shared instance used by silva.js
+const rateLimiter = new RateLimiter();
+
+module.exports = { TokenBucket, RateLimiter, rateLimiter, formatLimitMessage };
@@ -0,0 +1,187 @@
+// lib/roles.js — Owner, sudo and banned user roles
+const fs = require('fs');
+const path = require('path');
+const config = require('../config.js');
+const { getData, save } = require('./database.js');
+const { logMessage } = require('./logger.js');
+
+const numbersPath = path.join(__dirname, '..', 'session', 'numbers.json');
+
+// A role includes every permission of the roles below it
+const LEVELS = { banned: -1, user: 0, admin: 1, sudo: 2, owner: 3 };
+
+/**
+ * Normalise a JID or phone number to a bare user JID.
+ * Strips the device suffix ("123:4@s.whatsapp.net"), maps @c.us to
+ * @s.whatsapp.net and keeps @lid identities as they are.
+ * @param {string} input - JID, or a number with optional "+" and spaces
+ * @returns {string} bare JID, or '' when nothing usable was given
+ */
+function normalizeJid(input) {
+    const value = String(input || '').trim();
+    if (!value) return '';
+    if (!value.includes('@')) {
+        const digits = value.replace(/\D/g, '');
+        return digits ? `${digits}@s.whatsapp.net` : '';
+    }
+    const [user, server] = value.split('@');
+    const bare = user.split(':')[0];
+    if (!bare) return '';
+    return `${bare}@${server === 'c.us' ? 's.whatsapp.net' : server}`;
+}
+
+const isLid = jid => jid.endsWith('@lid');
+
+// session/numbers.json only changes between deploys, so it is read once
+let sessionNumbers = null;
+function loadSessionNumbers() {
+    if (sessionNumbers) return sessionNumbers;
+    sessionNumbers = [];
+    try {
+        if (fs.existsSync(numbersPath)) {
+            const list = JSON.parse(fs.readFileSync(numbersPath, 'utf8'));
+            if (Array.isArray(list)) sessionNumbers = list.map(normalizeJid).filter(Boolean);
+        }
+    } catch (e) {
+        logMessage('WARN', `Could not read session/numbers.json: ${e.message}`);
+    }
+    return sessionNumbers;
+}
+
+/**
+ * Parse an OWNERS value in the talkdrove.json format:
+ * "254700000000;Name,254711111111;Other" (names are optional)
+ * @param {string} value
+ * @returns {string[]} owner JIDs
+ */
+function parseOwners(value) {
+    return String(value || '')
+        .split(/[,\n]/)
+        .map(entry => normalizeJid(entry.split(';')[0]))
+        .filter(Boolean);
+}
+
+/**
+ * All owner JIDs: OWNER_NUMBER, OWNERS and session/numbers.json
+ * @returns {string[]}
+ */
+function getOwners() {
+    const owners = [normalizeJid(config.OWNER_NUMBER), ...parseOwners(config.OWNERS), ...loadSessionNumbers()];
+    return [...new Set(owners.filter(Boolean))];
+}
+
+function getStore() {
+    const data = getData();
+    if (!data.roles) data.roles = {};
+    data.roles.sudo = data.roles.sudo || [];
+    data.roles.banned = data.roles.banned || [];
+    return data.roles;
+}
+
+const matches = (list, ids) => ids.some(id => list.includes(id));
+
+/**
+ * Work out every identity the author of a message is known by.
+ *
+ * In groups the author is `key.participant`, never `remoteJid`. On LID
+ * addressed chats the phone-number JID arrives in one of participantPn,
+ * senderPn, participantAlt or remoteJidAlt depending on the Baileys build,
+ * and the socket's LID mapping is used as a last resort.
+ *
+ * @param {object} sock - Baileys socket
+ * @param {object} m - incoming message
+ * @returns {Promise<{jid: string, ids: string[], fromMe: boolean}>}
+ *   `jid` prefers the phone-number identity
+ */
+async function resolveSender(sock, m) {
+    const key = m?.key || {};
+    const chat = key.remoteJid || '';
+    const isChat = !chat.endsWith('@g.us') && !chat.endsWith('@broadcast') && !chat.endsWith('@newsletter');
+    const fromMe = !!key.fromMe;
+
+    const candidates = [
+        key.participantPn, key.senderPn, key.participantAlt,
+        key.participant, m.participant,
+        isChat ? key.remoteJidAlt : null,
+        isChat ? chat : null
+    ];
+    if (fromMe) candidates.push(sock?.user?.id, sock?.user?.lid);
+
+    const ids = [...new Set(candidates.map(normalizeJid).filter(Boolean))];
+
+    const lid = ids.find(isLid);
+    if (lid && !ids.some(id => !isLid(id))) {
+        try {
+            const pn = await sock?.signalRepository?.lidMapping?.getPNForLID?.(lid);
+            if (pn) ids.push(normalizeJid(pn));
+        } catch (e) {
+            logMessage('DEBUG', `LID lookup failed for ${lid}: ${e.message}`);
+        }
+    }
+
+    return { jid: ids.find(id => !isLid(id)) || ids[0] || '', ids, fromMe };
+}
+
+/**
+ * Get a user's role. Owners can never be banned.
+ * @param {{ids: string[], fromMe?: boolean}|string} sender - result of resolveSender, or a JID
+ * @param {object} [options]
+ * @param {boolean} [options.isAdmin] - whether the user is admin of the current group
+ * @returns {'owner'|'sudo'|'admin'|'user'|'banned'}
+ */
+function getRole(sender, { isAdmin = false } = {}) {
+    const ids = typeof sender === 'string' ? [normalizeJid(sender)] : sender.ids;
+    if (sender.fromMe || matches(getOwners(), ids)) return 'owner';
+    const store = getStore();
+    if (matches(store.banned, ids)) return 'banned';
+    if (matches(store.sudo, ids)) return 'sudo';
+    return isAdmin ? 'admin' : 'user';
+}
+
+/**
+ * Check a role against a required minimum
+ * @param {string} role
+ * @param {string} [required='user']
+ * @returns {boolean}
+ */
+function hasRole(role, required = 'user') {
+    return (LEVELS[role] ?? LEVELS.user) >= (LEVELS[required] ?? LEVELS.owner);
+}
+
+function addTo(list, jid) {
+    const store = getStore();
+    const id = normalizeJid(jid);
+    if (!id || store[list].includes(id)) return false;
+    store[list].push(id);
+    save();
+    return true;
+}
+
+function removeFrom(list, jid) {
+    const store = getStore();
+    const id = normalizeJid(jid);
+    const index = store[list].indexOf(id);
+    if (index === -1) return false;
+    store[list].splice(index, 1);
+    save();
+    return true;
+}
+
+const isOwnerJid = jid => getOwners().includes(normalizeJid(jid));
+
+module.exports = {
+    LEVELS,
+    normalizeJid,
+    parseOwners,
+    getOwners,
+    isOwnerJid,
+    resolveSender,
+    getRole,
+    hasRole,
+    getSudo: () => [...getStore().sudo],
+    getBanned: () => [...getStore().banned],
+    addSudo: jid => addTo('sudo', jid),
+    removeSudo: jid => removeFrom('sudo', jid),
+    ban: jid => addTo('banned', jid),
+    unban: jid => removeFrom('banned', jid)
+};
@@ -0,0 +1,292 @@
+// lib/scheduler.js — Persistent one-off and cron-style scheduled messages
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { getData, save } = require('./database.js');
+const { logMessage } = require('./logger.js');
+
+const mediaDir = path.join(__dirname, '..', 'data', 'schedules');
+const TICK_INTERVAL = 15 * 1000;
+const MAX_FAILURES = 3;
+
+// ==========================================
+// ✅ CRON PARSING
+// ==========================================
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'weekday', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+function parseField(source, { name, min, max }) {
+    const values = new Set();
+    for (const part of source.split(',')) {
+        const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+        if (!match) throw new Error(`Invalid ${name} field "${source}"`);
+        const [, range, stepText] = match;
+        const step = stepText ? Number(stepText) : 1;
+        let [from, to] = range === '*' ? [min, max] : range.split('-').map(Number);
+        if (to === undefined) to = stepText ? max : from;
+        if (from < min || to > max || from > to || step < 1) {
+            throw new Error(`${name} out of range in "${source}" (${min}-${max})`);
+        }
+        for (let v = from; v <= to; v += step) values.add(name === 'weekday' && v === 7 ? 0 : v);
+    }
+    return values;
+}
+
+/**
+ * Parse a 5-field cron expression ("min hour day month weekday") or a macro like @daily.
+ * Fields accept *, numbers, ranges (1-5), lists (1,3) and steps (*\/15, 0-30/10).
+ * @param {string} expression
+ * @returns {object} parsed schedule, for use with nextCronRun()
+ * @throws {Error} when the expression is invalid
+ */
+function parseCron(expression) {
+    const source = MACROS[String(expression).trim().toLowerCase()] || String(expression).trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== 5) throw new Error('A cron expression needs 5 fields: minute hour day month weekday');
+    const cron = {};
+    FIELDS.forEach((field, i) => { cron[field.name] = parseField(parts[i], field); });
+    // Standard cron: when both day fields are restricted, either may match
+    cron.anyDay = parts[2] !== '*' && parts[4] !== '*';
+    return cron;
+}
+
+function dayMatches(cron, date) {
+    const day = cron.day.has(date.getDate());
+    const weekday = cron.weekday.has(date.getDay());
+    return cron.anyDay ? day || weekday : day && weekday;
+}
+
+/**
+ * Find the next time a cron schedule fires, in server local time
+ * @param {object|string} cron - parsed schedule or expression
+ * @param {number} [from=Date.now()] - search starts at the minute after this
+ * @returns {number|null} timestamp in ms, or null if nothing matches within ~5 years
+ */
+function nextCronRun(cron, from = Date.now()) {
+    const schedule = typeof cron === 'string' ? parseCron(cron) : cron;
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = from + 5 * 366 * 24 * 60 * 60 * 1000;
+    while (date.getTime() <= limit) {
+        if (!schedule.month.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0);
+        } else if (!dayMatches(schedule, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0);
+        } else if (!schedule.hour.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0);
+        } else if (!schedule.minute.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date.getTime();
+        }
+    }
+    return null;
+}
+
+// ==========================================
+// ✅ TIME PARSING
+// ==========================================
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration like "90s", "2h", "1h30m" or "1d"
+ * @param {string} text
+ * @returns {number|null} ms, or null when not a duration
+ */
+function parseDuration(text) {
+    const source = String(text || '').trim().toLowerCase();
+    if (!/^(\d+[smhdw])+$/.test(source)) return null;
+    let total = 0;
+    for (const [, amount, unit] of source.matchAll(/(\d+)([smhdw])/g)) total += Number(amount) * UNITS[unit];
+    return total || null;
+}
+
+/**
+ * Parse when a job should run.
+ * Accepts a duration ("2h"), a time of day ("21:30", next occurrence),
+ * a date and time ("2025-12-31 23:59"), a cron expression or macro.
+ * @param {string} text
+ * @param {number} [now=Date.now()]
+ * @returns {{at: number}|{cron: string}|null}
+ * @throws {Error} for a cron expression with invalid fields
+ */
+function parseWhen(text, now = Date.now()) {
+    const source = String(text || '').trim().replace(/^cron\s+/i, '');
+    if (!source) return null;
+
+    const duration = parseDuration(source);
+    if (duration) return { at: now + duration };
+
+    const time = source.match(/^(?:(\d{4})-(\d{1,2})-(\d{1,2})\s*)?(?:(\d{1,2}):(\d{2}))?$/);
+    if (time && (time[1] || time[4])) {
+        const [, year, month, day, hours = 0, minutes = 0] = time;
+        if (Number(hours) > 23 || Number(minutes) > 59 || (year && (month < 1 || month > 12 || day < 1 || day > 31))) return null;
+        const date = new Date(now);
+        if (year) {
+            date.setFullYear(Number(year), Number(month) - 1, Number(day));
+            // Date rolls "2026-02-31" over into March; treat it as a typo instead
+            if (date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) return null;
+        }
+        date.setHours(Number(hours), Number(minutes), 0, 0);
+        if (!year && date.getTime() <= now) date.setDate(date.getDate() + 1);
+        return { at: date.getTime() };
+    }
+
+    if (MACROS[source.toLowerCase()] || source.split(/\s+/).length === 5) {
+        parseCron(source);
+        return { cron: source };
+    }
+    return null;
+}
+
+// ==========================================
+// ✅ SCHEDULER
+// ==========================================
+class Scheduler extends EventEmitter {
+    constructor() {
+        super();
+        this.timer = null;
+        this.getSock = () => null;
+        this.busy = false;
+    }
+
+    get jobs() {
+        const data = getData();
+        if (!Array.isArray(data.schedules)) data.schedules = [];
+        return data.schedules;
+    }
+
+    /**
+     * Start ticking. Jobs are sent with whatever socket is live at the time,
+     * so they carry on across reconnects.
+     * @param {Function} getSock - returns the connected socket, or null while offline
+     */
+    start(getSock) {
+        this.getSock = getSock;
+        if (this.timer) return;
+        // Recurring jobs resume from now rather than replaying runs missed while offline
+        const now = Date.now();
+        for (const job of this.jobs) {
+            if (job.cron && job.nextRun < now) job.nextRun = nextCronRun(job.cron, now);
+        }
+        save();
+        this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+        this.timer.unref?.();
+        logMessage('INFO', `Scheduler started: ${this.jobs.length} job(s)`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Add a job
+     * @param {object} job
+     * @param {string} job.chat - JID to send to
+     * @param {object} job.content - Baileys message content
+     * @param {number} [job.at] - one-off run time (ms)
+     * @param {string} [job.cron] - recurring cron expression
+     * @param {string} [job.createdBy] - JID of the user who created it
+     * @param {string} [job.kind='schedule'] - 'schedule' or 'reminder'
+     * @param {string} [job.media] - local media file to delete with the job
+     * @returns {object} the stored job
+     */
+    add({ chat, content, at, cron, createdBy = '', kind = 'schedule', media = null }) {
+        const nextRun = cron ? nextCronRun(cron) : at;
+        if (!nextRun) throw new Error('That schedule never runs');
+
+        let id;
+        do id = Math.random().toString(36).slice(2, 7); while (this.get(id));
+
+        const job = { id, kind, chat, content, cron: cron || null, nextRun, createdBy, media, createdAt: Date.now(), failures: 0 };
+        this.jobs.push(job);
+        save();
+        logMessage('INFO', `Scheduled ${kind} ${id} for ${chat} at ${new Date(nextRun).toISOString()}${cron ? ` (${cron})` : ''}`);
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.find(job => job.id === id) || null;
+    }
+
+    /**
+     * @param {function(object): boolean} [filter]
+     * @returns {Array<object>} jobs sorted by next run
+     */
+    list(filter = () => true) {
+        return this.jobs.filter(filter).sort((a, b) => a.nextRun - b.nextRun);
+    }
+
+    /**
+     * Remove a job and its stored media
+     * @param {string} id
+     * @returns {object|null} the removed job
+     */
+    cancel(id) {
+        const index = this.jobs.findIndex(job => job.id === id);
+        if (index === -1) return null;
+        const [job] = this.jobs.splice(index, 1);
+        save();
+        if (job.media) fs.promises.unlink(job.media).catch(() => {});
+        return job;
+    }
+
+    async tick() {
+        const sock = this.getSock();
+        if (this.busy || !sock) return;
+        this.busy = true;
+        try {
+            const now = Date.now();
+            for (const job of this.jobs.filter(j => j.nextRun <= now)) await this.run(sock, job);
+            // A cron schedule can run out of matching dates (e.g. 30 February)
+            for (const job of this.jobs.filter(j => !j.nextRun)) this.cancel(job.id);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    async run(sock, job) {
+        try {
+            await sock.sendMessage(job.chat, job.content);
+            this.emit('run', job);
+            if (!job.cron) return void this.cancel(job.id);
+            job.failures = 0;
+            job.nextRun = nextCronRun(job.cron);
+        } catch (e) {
+            job.failures = (job.failures || 0) + 1;
+            logMessage('ERROR', `Scheduled ${job.kind} ${job.id} failed (${job.failures}/${MAX_FAILURES}): ${e.message}`);
+            if (job.failures >= MAX_FAILURES) {
+                this.emit('failed', job, e);
+                if (!job.cron) return void this.cancel(job.id);
+                job.failures = 0;
+                job.nextRun = nextCronRun(job.cron);
+            }
+        }
+        save();
+    }
+}
+
+// Shared instance used by silva.js and silvaxlab/schedule.js
+const scheduler = new Scheduler();
+
+module.exports = { Scheduler, scheduler, parseCron, nextCronRun, parseDuration, parseWhen, mediaDir };
@@ -0,0 +1,379 @@
+// lib/session.js — SESSION_ID encoding and the built-in QR / pairing-code login
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const zlib = require('zlib');
+const EventEmitter = require('events');
+const express = require('express');
+const QRCode = require('qrcode');
+const qrTerminal = require('qrcode-terminal');
+const config = require('../config.js');
+const { normalizeJid } = require('./roles.js');
+const { keyMatches } = require('./api.js');
+const { logMessage } = require('./logger.js');
+
+const sessionDir = path.join(__dirname, '..', 'session');
+const credsPath = path.join(sessionDir, 'creds.json');
+const loginPage = path.join(__dirname, '..', 'smm', 'login.html');
+const loggedOutPath = path.join(sessionDir, '.logged-out');
+
+// Files in session/ that are not Baileys auth state
+const KEEP = new Set(['numbers.json', '.logged-out']);
+// Addresses the login page answers on when no API_KEY is set
+const LOOPBACK = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+// ==========================================
+// ✅ SESSION_ID FORMAT
+// ==========================================
+
+/**
+ * Decode a `Silva~<gzip-base64>` SESSION_ID into the creds.json contents
+ * @param {string} sessionId
+ * @returns {Buffer}
+ * @throws {Error} when the id is missing or malformed
+ */
+function decodeSession(sessionId) {
+    if (!sessionId || typeof sessionId !== 'string') {
+        throw new Error("❌ SESSION_ID is missing or invalid");
+    }
+    const [header, b64data] = sessionId.split('~');
+    if (header !== "Silva" || !b64data) {
+        throw new Error("❌ Invalid session format. Expected 'Silva~.....'");
+    }
+    return zlib.gunzipSync(Buffer.from(b64data.replace('...', ''), 'base64'));
+}
+
+/**
+ * Encode the on-disk creds.json as a SESSION_ID that decodeSession() accepts
+ * @param {string} [file=credsPath]
+ * @returns {string} "Silva~<gzip-base64>"
+ */
+function encodeSession(file = credsPath) {
+    return 'Silva~' + zlib.gzipSync(fs.readFileSync(file)).toString('base64');
+}
+
+/**
+ * Whether auth creds belong to a paired device (a fresh state has neither field)
+ * @param {object} creds - AuthenticationCreds
+ * @returns {boolean}
+ */
+function isRegistered(creds) {
+    return !!(creds?.me?.id && creds?.account);
+}
+
+// ==========================================
+// ✅ ON-DISK STATE
+// ==========================================
+const alerts = [];
+let source = null;
+
+const fingerprint = sessionId => crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 16);
+const accountOf = creds => String(creds?.me?.id || '').split(/[:@]/)[0];
+
+// Problems worth telling the owner about once the bot is connected again
+function raise(text) {
+    if (alerts.includes(text)) return;
+    alerts.push(text);
+    logMessage('CRITICAL', text);
+}
+
+/**
+ * Inspect session/creds.json
+ * @returns {{ status: 'valid'|'missing'|'unregistered'|'corrupt', creds: object|null }}
+ */
+function readCreds() {
+    if (!fs.existsSync(credsPath)) return { status: 'missing', creds: null };
+    try {
+        const creds = JSON.parse(fs.readFileSync(credsPath, 'utf8'));
+        if (!creds.noiseKey || !creds.signedIdentityKey) return { status: 'corrupt', creds: null };
+        return { status: isRegistered(creds) ? 'valid' : 'unregistered', creds };
+    } catch {
+        return { status: 'corrupt', creds: null };
+    }
+}
+
+const isAuthFile = file => !KEEP.has(file) && !file.endsWith('.corrupt');
+
+// Remove creds.json and every key file, leaving other files and corrupt backups in place
+function clearAuthState() {
+    for (const file of fs.readdirSync(sessionDir)) {
+        const full = path.join(sessionDir, file);
+        if (isAuthFile(file) && fs.statSync(full).isFile()) fs.unlinkSync(full);
+    }
+}
+
+function isLoggedOut(sessionId) {
+    try {
+        return fs.readFileSync(loggedOutPath, 'utf8').trim() === fingerprint(sessionId);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Choose the auth state to connect with. The on-disk state wins while it is
+ * valid and belongs to the same account as SESSION_ID, because Baileys keeps
+ * it current through creds.update; SESSION_ID only seeds a missing, broken or
+ * different-account state. Without either, the login flow takes over.
+ * @param {string} [sessionId=config.SESSION_ID]
+ * @returns {'disk'|'session_id'|'login'} where the state came from
+ */
+function prepareSession(sessionId = config.SESSION_ID) {
+    fs.mkdirSync(sessionDir, { recursive: true });
+    const disk = readCreds();
+
+    let seed = null;
+    if (sessionId) {
+        try {
+            seed = decodeSession(sessionId);
+            JSON.parse(seed);
+        } catch (e) {
+            seed = null;
+            raise(`SESSION_ID could not be read (${e.message}), it was ignored`);
+        }
+        if (seed && isLoggedOut(sessionId)) {
+            seed = null;
+            logMessage('WARN', 'SESSION_ID belongs to a logged-out device: set a new one or log in again');
+        }
+    }
+
+    if (disk.status === 'valid' && (!seed || accountOf(disk.creds) === accountOf(JSON.parse(seed)))) {
+        source = 'disk';
+    } else {
+        if (disk.status === 'corrupt') {
+            fs.renameSync(credsPath, `${credsPath}.corrupt`);
+            raise(`session/creds.json was corrupt (kept as creds.json.corrupt), ${seed ? 'restored from SESSION_ID' : 'a new login is needed'}`);
+        }
+        if (seed) {
+            if (disk.status === 'valid') logMessage('INFO', 'SESSION_ID is for a different account, replacing the saved session');
+            clearAuthState();
+            fs.writeFileSync(credsPath, seed);
+            source = 'session_id';
+        } else {
+            source = 'login';
+        }
+    }
+
+    logMessage('INFO', `Session: ${{ disk: 'using saved session', session_id: 'loaded from SESSION_ID', login: 'no session, login required' }[source]}`);
+    return source;
+}
+
+/**
+ * WhatsApp logged this device out: drop the auth state and remember that the
+ * current SESSION_ID is dead so the next connect starts a fresh login.
+ */
+function markLoggedOut() {
+    if (fs.existsSync(sessionDir)) clearAuthState();
+    if (config.SESSION_ID) fs.writeFileSync(loggedOutPath, fingerprint(config.SESSION_ID));
+    raise('WhatsApp logged this device out. Log in again (QR, pairing code or /login) and update SESSION_ID');
+}
+
+/**
+ * The server rejected the session keys: set creds.json aside so the next
+ * connect re-seeds from SESSION_ID or starts a login
+ * @param {string} reason
+ */
+function markCorrupt(reason) {
+    if (fs.existsSync(credsPath)) fs.renameSync(credsPath, `${credsPath}.corrupt`);
+    raise(`Session rejected (${reason}), the saved session was set aside`);
+}
+
+/**
+ * @returns {string[]} pending owner alerts, emptied by the call
+ */
+function takeAlerts() {
+    return alerts.splice(0);
+}
+
+/**
+ * @returns {{ source: string|null, status: string, account: string|null, updatedAt: number|null, files: number }}
+ */
+function sessionInfo() {
+    const { status, creds } = readCreds();
+    const files = fs.existsSync(sessionDir) ? fs.readdirSync(sessionDir).filter(isAuthFile).length : 0;
+    return {
+        source,
+        status,
+        account: accountOf(creds) || null,
+        updatedAt: status === 'missing' ? null : fs.statSync(credsPath).mtimeMs,
+        files
+    };
+}
+
+// ==========================================
+// ✅ LOGIN FLOW
+// ==========================================
+
+/**
+ * Drives a first-time login when there is no usable session.
+ * Shows the QR in the terminal (or requests a pairing code for PAIRING_NUMBER),
+ * serves the /login page, and exports the new session once paired.
+ */
+class LoginFlow extends EventEmitter {
+    constructor() {
+        super();
+        this.sock = null;
+        this.status = 'idle'; // idle | waiting | paired | done
+        this.qr = null;
+        this.pairingCode = null;
+        this.phone = null;
+        this.autoRequested = false;
+    }
+
+    /**
+     * Hand a socket without registered creds to the flow
+     * @param {object} sock
+     */
+    begin(sock) {
+        this.sock = sock;
+        this.qr = null;
+        this.pairingCode = null;
+        this.autoRequested = false;
+        if (this.status !== 'paired') this.status = 'waiting';
+        logMessage('INFO', `🔑 No session found: scan the QR${config.PAIRING_NUMBER ? ' or enter the pairing code' : ''}, or open /login on the web server${config.API_KEY ? '' : ' (localhost only until API_KEY is set)'}`);
+    }
+
+    /**
+     * Feed every connection.update of the login socket through here
+     * @param {object} sock
+     * @param {object} update
+     */
+    async handleUpdate(sock, update) {
+        if (sock !== this.sock) return;
+
+        if (update.isNewLogin) {
+            this.status = 'paired';
+            this.qr = null;
+            logMessage('SUCCESS', '✅ Device paired, finishing login…');
+            this.emit('paired');
+        }
+
+        if (!update.qr || this.status !== 'waiting') return;
+        this.qr = update.qr;
+        this.emit('qr', update.qr);
+
+        if (config.PAIRING_NUMBER) {
+            // A pairing code needs the socket to be up, which the first QR signals
+            if (this.autoRequested) return;
+            this.autoRequested = true;
+            await this.requestPairingCode(config.PAIRING_NUMBER)
+                .catch(e => logMessage('ERROR', `Pairing code request failed: ${e.message}`));
+        } else {
+            qrTerminal.generate(update.qr, { small: true });
+            logMessage('INFO', '📱 Scan the QR above: WhatsApp › Linked devices › Link a device');
+        }
+    }
+
+    /**
+     * Request a pairing code for a phone number on the current login socket
+     * @param {string} number - international format, digits only
+     * @returns {Promise<string>} code formatted as XXXX-XXXX
+     */
+    async requestPairingCode(number) {
+        const phone = String(number || '').replace(/\D/g, '');
+        if (phone.length < 7 || phone.length > 15) throw new Error('Enter the full number with country code, digits only');
+        if (!this.sock || this.status !== 'waiting') throw new Error('Not waiting for a login');
+
+        const code = await this.sock.requestPairingCode(phone);
+        this.phone = phone;
+        this.pairingCode = code.match(/.{1,4}/g).join('-');
+        logMessage('SUCCESS', `🔢 Pairing code for ${phone}: ${this.pairingCode}`);
+        logMessage('INFO', 'Enter it in WhatsApp › Linked devices › Link with phone number');
+        return this.pairingCode;
+    }
+
+    /**
+     * Export the new session once the paired socket is open: print it and
+     * send it to the bot's own chat so it can be saved as SESSION_ID.
+     * @param {object} sock - the connected socket
+     */
+    async complete(sock) {
+        if (this.status !== 'paired') return;
+        this.status = 'done';
+        this.sock = null;
+        this.qr = null;
+        this.pairingCode = null;
+
+        let sessionId;
+        try {
+            sessionId = encodeSession();
+        } catch (e) {
+            logMessage('ERROR', `Could not export the new session: ${e.message}`);
+            return;
+        }
+        this.emit('done', sessionId);
+
+        try {
+            const self = normalizeJid(sock.user.id);
+            await sock.sendMessage(self, { text: sessionId });
+            await sock.sendMessage(self, {
+                text: `✅ *${config.BOT_NAME} logged in*\n\nThe message above is your SESSION_ID. Set it in config.env or your host's environment so the bot keeps this login across restarts.\n\n⚠️ Anyone with it controls this WhatsApp account: never share it.`
+            });
+            // The ID itself is never logged: hosts keep stdout and it controls the account
+            logMessage('SUCCESS', '✅ Login complete. Your SESSION_ID was sent to the bot\'s own chat (Message yourself)');
+        } catch (e) {
+            logMessage('WARN', `Login complete, but the SESSION_ID could not be sent to your chat (use .session later): ${e.message}`);
+        }
+    }
+
+    /**
+     * Routes for the web login page, mounted at /login.
+     * When API_KEY is set the page needs ?key=<API_KEY>; without one it is only
+     * served to localhost, since whoever pairs first owns the session.
+     * @returns {express.Router}
+     */
+    router() {
+        const router = express.Router();
+
+        router.use((req, res, next) => {
+            if (!config.API_KEY) {
+                if (LOOPBACK.includes(req.socket.remoteAddress)) return next();
+                return res.status(403).json({ error: 'Set API_KEY to use the login page from another machine' });
+            }
+            if (keyMatches(req.query.key || req.get('x-api-key'))) return next();
+            res.status(401).json({ error: 'Add ?key=<API_KEY> to the login URL' });
+        });
+
+        router.get('/', (req, res) => res.sendFile(loginPage));
+
+        router.get('/state', async (req, res) => {
+            try {
+                const body = { status: this.status, pairingCode: this.pairingCode, phone: this.phone, qr: null };
+                if (this.status === 'waiting' && this.qr && !this.pairingCode) {
+                    body.qr = await QRCode.toDataURL(this.qr, { margin: 1, width: 280 });
+                }
+                res.json(body);
+            } catch (e) {
+                res.status(500).json({ error: e.message });
+            }
+        });
+
+        router.post('/pair', express.json(), async (req, res) => {
+            try {
+                res.json({ pairingCode: await this.requestPairingCode(req.body?.number) });
+            } catch (e) {
+                res.status(400).json({ error: e.message });
+            }
+        });
+
+        return router;
+    }
+}
+
+// Shared instance used by silva.js
+const loginFlow = new LoginFlow();
+
+module.exports = {
+    sessionDir,
+    credsPath,
+    decodeSession,
+    encodeSession,
+    isRegistered,
+    prepareSession,
+    markLoggedOut,
+    markCorrupt,
+    takeAlerts,
+    sessionInfo,
+    LoginFlow,
+    loginFlow
+};
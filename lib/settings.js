@@ -0,0 +1,185 @@
+// lib/settings.js — Per-chat settings with fallback to config.js defaults
+const config = require('../config.js');
+const database = require('./database.js');
+const { parseToggle } = require('./functions.js');
+const { parsePrefixes } = require('./prefix.js');
+
+// Private chats share the anti-bad entry managed by the owner (see lib/antibad.js)
+const privateScope = (jid, isGroup) => (isGroup ? jid : 'private');
+
+/**
+ * Every per-chat setting: where it is stored in the chat record, its type
+ * and the config.js value used when the chat has no override.
+ */
+const SCHEMA = {
+    antilink: {
+        type: 'bool',
+        path: ['antilink', 'enabled'],
+        fallback: () => config.ANTI_LINK,
+        groupOnly: true,
+        description: 'Block links in the group'
+    },
+    antibad: {
+        type: 'bool',
+        path: ['antibad', 'enabled'],
+        fallback: () => config.ANTI_BAD,
+        scope: privateScope,
+        description: 'Filter bad words'
+    },
+    welcome: {
+        type: 'bool',
+        path: ['welcome', 'enabled'],
+        fallback: () => config.WELCOME_MSG,
+        groupOnly: true,
+        description: 'Greet new members'
+    },
+    goodbye: {
+        type: 'bool',
+        path: ['goodbye', 'enabled'],
+        fallback: () => config.GOODBYE_MSG,
+        groupOnly: true,
+        description: 'Say goodbye to leaving members'
+    },
+    mode: {
+        type: 'enum',
+        values: ['public', 'private', 'both'],
+        path: ['mode'],
+        fallback: () => config.MODE,
+        ownerOnly: true,
+        description: 'Who can use commands here'
+    },
+    prefix: {
+        type: 'prefixes',
+        path: ['prefix'],
+        fallback: () => parsePrefixes(config.PREFIX),
+        description: 'Command prefixes for this chat, space separated'
+    },
+    disabled: {
+        type: 'list',
+        path: ['disabledCommands'],
+        fallback: () => [],
+        description: 'Commands turned off in this chat'
+    }
+};
+
+function storageKey(jid, key, isGroup = jid?.endsWith('@g.us')) {
+    const def = SCHEMA[key];
+    return def.scope ? def.scope(jid, isGroup) : jid;
+}
+
+function readPath(obj, path) {
+    return path.reduce((value, part) => (value == null ? undefined : value[part]), obj);
+}
+
+/**
+ * Get the effective value of a chat setting
+ * @param {string} jid - chat JID
+ * @param {string} key - one of SCHEMA
+ * @returns {*}
+ */
+function getSetting(jid, key) {
+    const def = SCHEMA[key];
+    if (!def) throw new Error(`Unknown setting: ${key}`);
+    const value = readPath(database.getChat(storageKey(jid, key)), def.path);
+    return value ?? def.fallback();
+}
+
+function isOverridden(jid, key) {
+    return readPath(database.getChat(storageKey(jid, key)), SCHEMA[key].path) != null;
+}
+
+/**
+ * Validate and convert a user-supplied value
+ * @param {string} key
+ * @param {string} raw
+ * @returns {*} parsed value
+ * @throws {Error} with a user-facing message when invalid
+ */
+function parseValue(key, raw) {
+    const def = SCHEMA[key];
+    const text = String(raw ?? '').trim();
+
+    switch (def.type) {
+        case 'bool': {
+            const value = parseToggle(text);
+            if (value === null) throw new Error(`${key} must be on or off`);
+            return value;
+        }
+        case 'enum':
+            if (!def.values.includes(text.toLowerCase())) throw new Error(`${key} must be one of: ${def.values.join(', ')}`);
+            return text.toLowerCase();
+        case 'prefixes': {
+            // "@" is left out so "@bot cmd" mentions are never mistaken for a prefix
+            const prefixes = [...new Set(text.split(/\s+/).filter(Boolean))];
+            if (!prefixes.length || prefixes.length > 5 || prefixes.some(p => p.length > 3 || p.startsWith('@'))) {
+                throw new Error(`${key} must be 1-5 prefixes of 1-3 characters (not @), separated by spaces`);
+            }
+            return prefixes;
+        }
+        case 'list':
+            if (['none', '-', ''].includes(text.toLowerCase())) return [];
+            // Accept entries written with a prefix, e.g. ".ping"
+            return [...new Set(text.split(/[\s,]+/).map(v => v.toLowerCase().replace(/^[^\p{L}\p{N}]+/u, '')).filter(Boolean))];
+        default:
+            return text;
+    }
+}
+
+function writePath(jid, key, value) {
+    const def = SCHEMA[key];
+    const target = storageKey(jid, key);
+    const [section, field] = def.path;
+    if (!field) {
+        database.updateChat(target, { [section]: value });
+        return;
+    }
+    const current = database.getChat(target)[section] || {};
+    database.updateChat(target, { [section]: { ...current, [field]: value } });
+}
+
+/**
+ * Override a setting for a chat
+ * @param {string} jid
+ * @param {string} key
+ * @param {string} raw - user-supplied value
+ * @returns {*} the stored value
+ */
+function setSetting(jid, key, raw) {
+    const value = parseValue(key, raw);
+    writePath(jid, key, value);
+    return value;
+}
+
+// Remove the override so the config.js default applies again
+function resetSetting(jid, key) {
+    writePath(jid, key, undefined);
+}
+
+function formatValue(value) {
+    if (Array.isArray(value)) return value.join(', ') || 'none';
+    if (typeof value === 'boolean') return value ? 'on' : 'off';
+    return String(value);
+}
+
+/**
+ * List the settings that apply to a chat
+ * @param {string} jid
+ * @returns {Array<{ key, value, overridden, def }>}
+ */
+function listSettings(jid) {
+    const isGroup = jid?.endsWith('@g.us');
+    return Object.entries(SCHEMA)
+        .filter(([, def]) => isGroup || !def.groupOnly)
+        .map(([key, def]) => ({ key, value: getSetting(jid, key), overridden: isOverridden(jid, key), def }));
+}
+
+module.exports = {
+    SCHEMA,
+    getSetting,
+    setSetting,
+    resetSetting,
+    parseValue,
+    isOverridden,
+    listSettings,
+    formatValue
+};
@@ -0,0 +1,141 @@
+// lib/webhooks.js — Signed HTTP webhooks for messages and bot events
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const axios = require('axios');
+const config = require('../config.js');
+const { logMessage } = require('./logger.js');
+
+// Every event the bot emits; WEBHOOK_EVENTS may list these or prefixes like "group.*"
+const EVENTS = [
+    'message',
+    'command',
+    'message.deleted',
+    'status',
+    'group.join',
+    'group.leave',
+    'group.promote',
+    'group.demote',
+    'connection.open',
+    'connection.close',
+    'connection.down',
+    'session.invalid'
+];
+
+const MAX_ATTEMPTS = 4;
+const TIMEOUT = 10 * 1000;
+const MAX_IN_FLIGHT = 200;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+const splitList = value => String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+let inFlight = 0;
+
+// In-process listeners (the live dashboard) see every event, whatever WEBHOOK_* says
+const bus = new EventEmitter();
+
+function getUrls() {
+    return splitList(config.WEBHOOK_URLS).filter(url => /^https?:\/\//i.test(url));
+}
+
+/**
+ * Check an event against WEBHOOK_EVENTS (empty or "*" means every event)
+ * @param {string} event
+ * @returns {boolean}
+ */
+function isSubscribed(event) {
+    const filters = splitList(config.WEBHOOK_EVENTS);
+    if (!filters.length) return true;
+    return filters.some(filter => filter === '*' || filter === event ||
+        (filter.endsWith('.*') && event.startsWith(filter.slice(0, -1))));
+}
+
+/**
+ * Sign a request body with WEBHOOK_SECRET
+ * @param {string} body - exact JSON string that is sent
+ * @returns {string|null} "sha256=<hex>", or null without a secret
+ */
+function sign(body) {
+    if (!config.WEBHOOK_SECRET) return null;
+    return 'sha256=' + crypto.createHmac('sha256', config.WEBHOOK_SECRET).update(body).digest('hex');
+}
+
+// Retry network errors, timeouts, 429 and 5xx with exponential backoff
+async function deliver(url, event, id, body) {
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Silva-MD-Webhook',
+        'X-Silva-Event': event,
+        'X-Silva-Delivery': id
+    };
+    const signature = sign(body);
+    if (signature) headers['X-Silva-Signature'] = signature;
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        try {
+            await axios.post(url, body, { headers, timeout: TIMEOUT });
+            return true;
+        } catch (e) {
+            const status = e.response?.status;
+            const retryable = !status || status === 429 || status >= 500;
+            if (!retryable || attempt === MAX_ATTEMPTS) {
+                logMessage('WARN', `Webhook ${event} to ${url} failed after ${attempt} attempt(s): ${status ? `HTTP ${status}` : e.message}`);
+                return false;
+            }
+            await delay(1000 * 2 ** (attempt - 1));
+        }
+    }
+    return false;
+}
+
+/**
+ * Publish an event on the local bus and send it to every configured webhook.
+ * Never throws and never blocks the caller; deliveries run in the background.
+ * @param {string} event - one of EVENTS
+ * @param {object} data - event payload
+ */
+function emit(event, data = {}) {
+    try {
+        bus.emit(event, data);
+    } catch (e) {
+        logMessage('ERROR', `Event listener for ${event} failed: ${e.message}`);
+    }
+
+    const urls = getUrls();
+    if (!urls.length || !isSubscribed(event)) return;
+    if (inFlight >= MAX_IN_FLIGHT) {
+        logMessage('WARN', `Webhook backlog full, dropped ${event}`);
+        return;
+    }
+
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({ id, event, timestamp: new Date().toISOString(), data });
+    for (const url of urls) {
+        inFlight++;
+        deliver(url, event, id, body)
+            .catch(e => logMessage('ERROR', `Webhook delivery error: ${e.message}`))
+            .finally(() => { inFlight--; });
+    }
+}
+
+/**
+ * Reduce a WebMessageInfo to a JSON-friendly summary for webhook payloads
+ * @param {object} m - WebMessageInfo
+ * @returns {object}
+ */
+function summarizeMessage(m) {
+    const message = m?.message || {};
+    const type = Object.keys(message)[0] || null;
+    const inner = message[type] || {};
+    return {
+        id: m?.key?.id,
+        chat: m?.key?.remoteJid,
+        sender: m?.key?.participant || m?.key?.remoteJid,
+        fromMe: !!m?.key?.fromMe,
+        pushName: m?.pushName || null,
+        type,
+        text: message.conversation || inner.text || inner.caption || null,
+        timestamp: Number(m?.messageTimestamp) || null
+    };
+}
+
+module.exports = { EVENTS, bus, emit, isSubscribed, sign, summarizeMessage };
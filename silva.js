@@ -9,31 +9,53 @@ const {
     useMultiFileAuthState,
     fetchLatestBaileysVersion,
     Browsers,
-    DisconnectReason,
     isJidGroup,
     isJidBroadcast,
     isJidStatusBroadcast,
     areJidsSameUser,
-    makeInMemoryStore,
     downloadContentFromMessage
 } = baileys;
 
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const zlib = require('zlib');
 const express = require('express');
 const P = require('pino');
 const config = require('./config.js');
-const store = makeInMemoryStore({ logger: P({ level: 'silent' }) });
+const { logMessage } = require('./lib/logger.js');
+const anticall = require('./lib/anticall.js');
+const { messageStore } = require('./lib/messageStore.js');
+const { pluginManager } = require('./lib/pluginManager.js');
+const { initDatabase } = require('./lib/database.js');
+const chatSettings = require('./lib/settings.js');
+const configManager = require('./lib/configManager.js');
+const roles = require('./lib/roles.js');
+const { rateLimiter, formatLimitMessage } = require('./lib/rateLimiter.js');
+const { groupCache } = require('./lib/groupCache.js');
+const { messageQueue } = require('./lib/messageQueue.js');
+const { scheduler } = require('./lib/scheduler.js');
+const { createApi, getStatus, keyMatches } = require('./lib/api.js');
+const { createDashboard } = require('./lib/dashboard.js');
+const session = require('./lib/session.js');
+const { sessionDir, isRegistered, loginFlow } = session;
+const { supervisor, formatDuration } = require('./lib/connection.js');
+const webhooks = require('./lib/webhooks.js');
+const { metrics } = require('./lib/metrics.js');
+const { parsePrefixes, parseCommand, botIds, mentionsBot, noPrefixCommands } = require('./lib/prefix.js');
+const { CORE_COMMANDS, expandAlias, unknownCommandReply } = require('./lib/commands.js');
+const { isGroupAdmin } = require('./lib/functions.js');
+const antibad = require('./lib/antibad.js');
+const { safeSend } = require('./utils/safeSend.js');
 
-const prefix = config.PREFIX || '.';
 const tempDir = path.join(os.tmpdir(), 'silva-cache');
 const port = process.env.PORT || 25680;
 
-// ✅ Session paths
-const sessionDir = path.join(__dirname, 'session');
-const credsPath = path.join(sessionDir, 'creds.json');
+// Reply when a command needs a higher role than the sender has
+const ROLE_DENIED = {
+    admin: '👮 Admin required',
+    sudo: '🛡️ Sudo only command',
+    owner: '👑 Owner only command'
+};
 
 // ✅ Create session directory if not exists
 function createDirIfNotExist(dir) {
@@ -43,208 +65,40 @@ function createDirIfNotExist(dir) {
 }
 createDirIfNotExist(sessionDir);
 
-// ==========================================
-// ✅ SESSION RECOVERY WRAPPER
-// ==========================================
-function wrapSocketWithRetry(sock) {
-    const originalSendMessage = sock.sendMessage.bind(sock);
-    
-    sock.sendMessage = async (jid, content, options = {}) => {
-        let attempts = 0;
-        const maxAttempts = 3;
-        
-        while (attempts < maxAttempts) {
-            try {
-                return await originalSendMessage(jid, content, options);
-            } catch (error) {
-                attempts++;
-                
-                if (error.message?.includes('No sessions') && attempts < maxAttempts) {
-                    logMessage('WARN', `Session error on attempt ${attempts}, recovering...`);
-                    
-                    // Reset session for groups
-                    if (jid.endsWith('@g.us')) {
-                        try {
-                            await originalSendMessage(jid, {
-                                protocolMessage: { 
-                                    senderKeyDistributionMessage: { groupId: jid } 
-                                }
-                            });
-                            await new Promise(resolve => setTimeout(resolve, 1500));
-                            logMessage('INFO', 'Group session reset, retrying...');
-                            continue; // Retry
-                        } catch (resetErr) {
-                            logMessage('ERROR', `Session reset failed: ${resetErr.message}`);
-                        }
-                    }
-                    
-                    // Wait before retry
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                    continue;
-                }
-                
-                // Not a session error or max attempts reached
-                throw error;
-            }
-        }
-        
-        throw new Error('Failed after ' + maxAttempts + ' attempts');
-    };
-    
-    return sock;
-}
-
-// ==========================================
-// ✅ FIX 1: NEW PLUGIN MANAGER CLASS
-// ==========================================
-class PluginManager {
-    constructor() {
-        this.commandHandlers = new Map();
-        this.pluginInfo = new Map();
-    }
-
-    async loadPlugins(dir = 'silvaxlab') {
-        try {
-            const pluginDir = path.join(__dirname, dir);
-            
-            if (!fs.existsSync(pluginDir)) {
-                fs.mkdirSync(pluginDir, { recursive: true });
-                logMessage('INFO', `Created plugin directory: ${dir}`);
-                return;
-            }
-
-            const pluginFiles = fs.readdirSync(pluginDir)
-                .filter(file => file.endsWith('.js') && !file.startsWith('_'));
-
-            logMessage('INFO', `Found ${pluginFiles.length} plugin(s) in ${dir}`);
-
-            for (const file of pluginFiles) {
-                try {
-                    const pluginPath = path.join(pluginDir, file);
-                    delete require.cache[require.resolve(pluginPath)];
-                    
-                    const pluginModule = require(pluginPath);
-                    
-                    if (pluginModule && pluginModule.handler && pluginModule.handler.command) {
-                        const handler = pluginModule.handler;
-                        
-                        // Store command handler
-                        this.commandHandlers.set(handler.command, handler);
-                        
-                        // Store plugin info with proper structure
-                        this.pluginInfo.set(handler.command.source, {
-                            help: handler.help || [],
-                            tags: handler.tags || [],
-                            group: handler.group || false,
-                            admin: handler.admin || false,
-                            botAdmin: handler.botAdmin || false,
-                            owner: handler.owner || false,
-                            filename: file
-                        });
-                        
-                        logMessage('SUCCESS', `✅ Loaded plugin: ${file.replace('.js', '')}`);
-                    } else {
-                        logMessage('WARNING', `Plugin ${file} has invalid format - missing handler.command`);
-                    }
-                } catch (error) {
-                    logMessage('ERROR', `Failed to load plugin ${file}: ${error.message}`);
-                }
-            }
-            
-            logMessage('SUCCESS', `✅ Total plugins loaded: ${this.commandHandlers.size}`);
-        } catch (error) {
-            logMessage('ERROR', `Plugin loading error: ${error.message}`);
-        }
-    }
-
-    getCommandList() {
-        const commands = [];
-        for (const [source, info] of this.pluginInfo) {
-            commands.push({
-                command: source.replace(/^\^\(|\$/g, '').replace(/\|/g, ',').replace(/\$/g, '').replace(/i\)\$/g, ''),
-                help: info.help[0] || 'No description',
-                tags: info.tags,
-                group: info.group,
-                admin: info.admin,
-                owner: info.owner,
-                botAdmin: info.botAdmin
-            });
-        }
-        return commands;
-    }
-}
+// ✅ Plugin registry (silvaxlab/ and plugins/ share one loader)
+const plugins = pluginManager;
 
-// Initialize Plugin Manager
-const plugins = new PluginManager();
+// ✅ Currently connected socket (used by background notifications)
+let activeSock = null;
 
-// ✅ Load plugins on startup
+// ✅ Load plugins on startup and keep them in sync with the plugin directories
 async function loadPlugins() {
-    await plugins.loadPlugins('silvaxlab');
+    await plugins.loadPlugins(['silvaxlab', 'plugins']);
+    plugins.watch();
 }
 
-// ==========================================
-// ✅ Load session from compressed base64
-// ==========================================
-async function loadSession() {
+plugins.on('change', async ({ id, action, error }) => {
+    logMessage('INFO', `Plugin ${id} ${action}${error ? `: ${error}` : ''}`);
+    if (action !== 'failed' || !activeSock?.user) return;
     try {
-        // Remove old session file if exists
-        if (fs.existsSync(credsPath)) {
-            fs.unlinkSync(credsPath);
-            logMessage('INFO', "♻️ ᴏʟᴅ ꜱᴇꜱꜱɪᴏɴ ʀᴇᴍᴏᴠᴇᴅ");
-        }
-
-        if (!config.SESSION_ID || typeof config.SESSION_ID !== 'string') {
-            throw new Error("❌ SESSION_ID is missing or invalid");
-        }
-
-        const [header, b64data] = config.SESSION_ID.split('~');
-
-        if (header !== "Silva" || !b64data) {
-            throw new Error("❌ Invalid session format. Expected 'Silva~.....'");
-        }
-
-        // Clean and decode base64
-        const cleanB64 = b64data.replace('...', '');
-        const compressedData = Buffer.from(cleanB64, 'base64');
-        
-        // Decompress using zlib
-        const decompressedData = zlib.gunzipSync(compressedData);
-
-        // Write the decompressed session data
-        fs.writeFileSync(credsPath, decompressedData, "utf8");
-        logMessage('SUCCESS', "✅ ɴᴇᴡ ꜱᴇꜱꜱɪᴏɴ ʟᴏᴀᴅᴇᴅ ꜱᴜᴄᴄᴇꜱꜱꜰᴜʟʟʏ");
-
+        await activeSock.sendMessage(`${config.OWNER_NUMBER}@s.whatsapp.net`, {
+            text: `⚠️ *Plugin reload failed*\n\n• *File:* ${id}\n• *Error:* ${error}`,
+            contextInfo: globalContextInfo
+        });
     } catch (e) {
-        logMessage('ERROR', `Session Error: ${e.message}`);
-        throw e;
+        logMessage('WARN', `Could not report plugin error: ${e.message}`);
     }
-}
-
-// ✅ Message Cache for Anti-Delete
-const messageCache = new Map();
-
-// ✅ Message Logger Setup
-const logDir = path.join(__dirname, 'logs');
-if (!fs.existsSync(logDir)) fs.mkdirSync(logDir);
+});
 
-function getLogFileName() {
-    const date = new Date();
-    return `messages-${date.getFullYear()}-${date.getMonth()+1}-${date.getDate()}.log`;
+function formatReloadResult({ loaded, failed }) {
+    const lines = [];
+    if (loaded.length) lines.push(`✅ *Loaded:* ${loaded.join(', ')}`);
+    for (const f of failed) lines.push(`❌ *${f.id}:* ${f.error}`);
+    return lines.join('\n') || 'ℹ️ Nothing to reload';
 }
 
-function logMessage(type, message) {
-    if (!config.DEBUG && type === 'DEBUG') return;
-
-    const timestamp = new Date().toISOString();
-    const logEntry = `[${timestamp}] [${type}] ${message}\n`;
-    console.log(logEntry.trim());
-    const logFile = path.join(logDir, getLogFileName());
-    try {
-        fs.appendFileSync(logFile, logEntry);
-    } catch (e) {
-        console.error('Failed writing log:', e.message);
-    }
-}
+// ✅ Persistent Message Store for Anti-Delete and getMessage
+messageStore.init();
 
 // ✅ Global Context Info
 const globalContextInfo = {
@@ -287,33 +141,14 @@ async function downloadAsBuffer(messageObj, typeHint = 'file') {
     }
 }
 
-function isBotMentioned(message, botJid) {
-    try {
-        const extended = message?.extendedTextMessage;
-        if (!extended) return false;
-        const mentions = extended.contextInfo?.mentionedJid || [];
-        return mentions.includes(botJid);
-    } catch (e) {
-        return false;
-    }
-}
-
 // ==========================================
 // ✅ FIX 6: Updated generateConfigTable function
 // ==========================================
 function generateConfigTable() {
-    const configs = [
-        { name: 'MODE', value: config.MODE },
-        { name: 'ANTIDELETE_GROUP', value: config.ANTIDELETE_GROUP },
-        { name: 'ANTIDELETE_PRIVATE', value: config.ANTIDELETE_PRIVATE },
-        { name: 'AUTO_STATUS_SEEN', value: config.AUTO_STATUS_SEEN },
-        { name: 'AUTO_STATUS_REACT', value: config.AUTO_STATUS_REACT },
-        { name: 'AUTO_STATUS_REPLY', value: config.AUTO_STATUS_REPLY },
-        { name: 'AUTO_REACT_NEWSLETTER', value: config.AUTO_REACT_NEWSLETTER },
-        { name: 'ANTI_LINK', value: config.ANTI_LINK },
-        { name: 'ALWAYS_ONLINE', value: config.ALWAYS_ONLINE }
-        // GROUP_COMMANDS removed!
-    ];
+    // Built from the live config so runtime .setvar changes show up
+    const configs = configManager.listKeys()
+        .filter(key => key === 'MODE' || configManager.getSchema(key).type === 'bool')
+        .map(key => ({ name: key, value: config[key] }));
 
     let table = '╔══════════════════════════╦═══════════╗\n';
     table += '║        Config Name       ║   Value   ║\n';
@@ -363,9 +198,9 @@ async function sendWelcomeMessage(sock) {
     const welcomeMsg = `
 *✨ ${config.BOT_NAME} is now active!*
 
-• **Prefix:** \`${prefix}\`
+• **Prefix:** \`${parsePrefixes(config.PREFIX).join(' ')}\`
 • **Mode:** ${config.MODE}
-• **Plugins Loaded:** ${plugins.commandHandlers.size}
+• **Plugins Loaded:** ${plugins.size}
 
 *⚙️ Active Configuration:*
 \`\`\`
@@ -398,7 +233,7 @@ _⚡ Powered by Silva Tech Inc._
         logMessage('WARN', `Welcome message failed: ${e.message}`);
         // Fallback: try sending without the complex ad reply
         try {
-            await sock.sendMessage(sock.user.id, { text: `✅ ${config.BOT_NAME} is now online!\nPrefix: ${prefix}` });
+            await sock.sendMessage(sock.user.id, { text: `✅ ${config.BOT_NAME} is now online!\nPrefix: ${parsePrefixes(config.PREFIX).join(' ')}` });
         } catch (fallbackErr) {
             logMessage('DEBUG', `Fallback also failed: ${fallbackErr.message}`);
         }
@@ -418,9 +253,9 @@ async function updateProfileStatus(sock) {
 
 // ✅ Connect to WhatsApp (main)
 async function connectToWhatsApp() {
-    // Load session from compressed base64
-    await loadSession();
-    
+    // Saved session first, then SESSION_ID; without either, log in by QR or pairing code
+    session.prepareSession(config.SESSION_ID);
+
     // Use the session directory for multi-file auth state
     const { state, saveCreds } = await useMultiFileAuthState(sessionDir);
     const { version } = await fetchLatestBaileysVersion();
@@ -443,36 +278,60 @@ async function connectToWhatsApp() {
         markOnlineOnConnect: config.ALWAYS_ONLINE,
         syncFullHistory: false,
         generateHighQualityLinkPreview: false,
-        getMessage: async () => undefined,
+        getMessage: async (key) => messageStore.load(key.remoteJid, key.id)?.message || undefined,
+        cachedGroupMetadata: async (jid) => groupCache.get(jid),
         ...cryptoOptions
     });
 
-    // ✅ Wrap socket with auto-retry
-    wrapSocketWithRetry(sock);
+    // ✅ Route every send through the outbound queue (per-chat order, pacing, bounded retry)
+    messageQueue.attach(sock);
 
-    // bind the store so store.loadMessage works
-    try {
-        store.bind(sock.ev);
-    } catch (e) {
-        logMessage('WARN', `store.bind failed: ${e.message}`);
-    }
+    if (!isRegistered(state.creds)) loginFlow.begin(sock);
 
     // connection update
     sock.ev.on('connection.update', async update => {
         const { connection, lastDisconnect } = update;
+        await loginFlow.handleUpdate(sock, update);
         if (connection === 'close') {
-            logMessage('WARN', `Connection closed: ${lastDisconnect?.error?.output?.statusCode || 'Unknown'}`);
-            if (lastDisconnect?.error?.output?.statusCode !== DisconnectReason.loggedOut) {
-                logMessage('INFO', 'Reconnecting...');
-                setTimeout(() => connectToWhatsApp(), 2000);
-            }
+            if (activeSock === sock) activeSock = null;
+            webhooks.emit('connection.close', {
+                statusCode: lastDisconnect?.error?.output?.statusCode || null,
+                reason: lastDisconnect?.error?.message || null
+            });
+            // The supervisor picks the delay (or a new login) from the disconnect reason
+            supervisor.handleClose(sock, lastDisconnect?.error);
         } else if (connection === 'open') {
             logMessage('SUCCESS', '✅ Connected to WhatsApp');
+            activeSock = sock;
+            const outage = supervisor.handleOpen(sock);
+            webhooks.emit('connection.open', { user: sock.user?.id || null });
+
+            // First login without a SESSION_ID: hand the new one to the user
+            await loginFlow.complete(sock);
+
+            // Tell the owner about session problems and long outages from before this connection
+            const alerts = session.takeAlerts();
+            if (outage) {
+                const last = outage.lastDisconnect;
+                alerts.push(`Back online after ${formatDuration(outage.downtime)} offline (${last.reason}${last.code ? ` ${last.code}` : ''}, ${outage.attempts} attempt(s))`);
+            }
+            if (alerts.length) {
+                sock.sendMessage(`${config.OWNER_NUMBER}@s.whatsapp.net`, {
+                    text: `🔌 *Connection notice*\n\n${alerts.map(a => `• ${a}`).join('\n')}`,
+                    contextInfo: globalContextInfo
+                }).catch(e => logMessage('WARN', `Could not send connection alert: ${e.message}`));
+            }
+
+            // Anti-bad group mutes that fell due while offline
+            antibad.resumeUnmutes(() => activeSock);
 
-            // Load plugins after connection
-            await loadPlugins();
-            
-            // store bot jid for mention detection
+            // Give plugins the live socket (runs their onLoad hooks)
+            await plugins.attach(sock);
+
+            // Prime the group metadata cache; events keep it fresh from here
+            groupCache.warm(sock);
+
+            // Kept for external plugins; mention detection uses lib/prefix.js
             global.botJid = sock.user.id;
 
             // Update profile & send welcome
@@ -503,27 +362,57 @@ async function connectToWhatsApp() {
 
     sock.ev.on('creds.update', saveCreds);
 
-    // ✅ Cache messages for anti-delete
-    sock.ev.on('messages.upsert', ({ messages }) => {
-        if (!Array.isArray(messages)) return;
-        
-        for (const m of messages) {
-            if (!m.message || !m.key.id) continue;
-            
-            const cacheKey = `${m.key.remoteJid}-${m.key.id}`;
-            messageCache.set(cacheKey, {
-                message: m.message,
-                timestamp: Date.now()
+    // ✅ Anti-call handler (settings in anti-call-settings.json)
+    sock.ev.on('call', async (calls) => {
+        try {
+            await anticall.handleCalls(sock, calls);
+        } catch (err) {
+            logMessage('ERROR', `Anti-call handler error: ${err.message}`);
+        }
+
+        for (const call of calls || []) {
+            await plugins.dispatch('onCall', {
+                sock,
+                call,
+                sender: call.from,
+                isGroup: !!call.isGroup,
+                contextInfo: globalContextInfo
             });
         }
-        
-        // Clean old cache entries (older than 1 hour)
-        const now = Date.now();
-        for (const [key, value] of messageCache.entries()) {
-            if (now - value.timestamp > 60 * 60 * 1000) { // 1 hour
-                messageCache.delete(key);
-            }
+    });
+
+    // ✅ Group metadata changes → cache (subject, settings, full refreshes)
+    sock.ev.on('groups.update', updates => groupCache.applyGroupsUpdate(updates));
+    sock.ev.on('groups.upsert', groups => groupCache.applyGroupsUpdate(groups));
+
+    // ✅ Group membership changes → cache + plugin hooks (welcome/goodbye etc.)
+    sock.ev.on('group-participants.update', async (update) => {
+        groupCache.applyParticipantsUpdate(update, sock);
+        const event = { add: 'group.join', remove: 'group.leave', promote: 'group.promote', demote: 'group.demote' }[update.action];
+        if (event) {
+            webhooks.emit(event, {
+                group: update.id,
+                subject: groupCache.get(update.id)?.subject || null,
+                participants: (update.participants || []).map(p => (typeof p === 'string' ? p : p.id)),
+                author: update.author || null
+            });
         }
+        await plugins.dispatch('onGroupParticipantsUpdate', {
+            sock,
+            jid: update.id,
+            participants: update.participants || [],
+            action: update.action,
+            author: update.author,
+            isGroup: true,
+            groupMetadata: groupCache.get(update.id),
+            contextInfo: globalContextInfo
+        });
+    });
+
+    // ✅ Persist messages for anti-delete and retries
+    sock.ev.on('messages.upsert', ({ messages }) => {
+        if (!Array.isArray(messages)) return;
+        for (const m of messages) messageStore.save(m);
     });
 
     // ✅ Anti-delete handler (messages.update)
@@ -531,11 +420,16 @@ async function connectToWhatsApp() {
         for (const { key, update } of updates) {
             if (key.remoteJid === "status@broadcast") continue;
             if (update?.message === null && !key.fromMe) {
-                const cacheKey = `${key.remoteJid}-${key.id}`;
-                const original = messageCache.get(cacheKey);
+                // Same switches as the messages.delete path, and never the bot's own moderation deletes
+                const isGroup = key.remoteJid?.endsWith('@g.us');
+                if ((isGroup && !config.ANTIDELETE_GROUP) || (!isGroup && !config.ANTIDELETE_PRIVATE)) continue;
+                if (messageStore.isModerated(key)) continue;
+
+                const original = messageStore.load(key.remoteJid, key.id);
                 const owner = safeGetUserJid(sock);
 
                 if (!original?.message || !owner) continue;
+                webhooks.emit('message.deleted', webhooks.summarizeMessage(original));
                 
                 sock.sendMessage(owner, {
                     text: `🚨 *Anti-Delete* — Message recovered from ${key.participant || key.remoteJid}`,
@@ -577,12 +471,17 @@ async function connectToWhatsApp() {
                     logMessage('DEBUG', `Anti-delete disabled for ${isGroup ? 'group' : 'private'}`);
                     continue;
                 }
+                if (messageStore.isModerated(key)) {
+                    logMessage('DEBUG', `Skipping anti-delete for ${key.id}: removed by the bot`);
+                    continue;
+                }
 
-                const deletedMsg = await store.loadMessage(from, key.id);
+                const deletedMsg = messageStore.load(from, key.id);
                 if (!deletedMsg) {
                     logMessage('WARN', `No stored message found for ${key.id}`);
                     continue;
                 }
+                webhooks.emit('message.deleted', webhooks.summarizeMessage(deletedMsg));
 
                 const ownerJid = `${config.OWNER_NUMBER}@s.whatsapp.net`;
                 const sender = key.participant || from;
@@ -784,6 +683,20 @@ async function connectToWhatsApp() {
                     } catch (e) {
                         logMessage('ERROR', `Status handler error: ${e.message}`);
                     }
+
+                    if (!m.key.fromMe) {
+                        const { inner, msgType } = unwrapStatus(m);
+                        webhooks.emit('status', { ...webhooks.summarizeMessage({ ...m, message: inner }), sender: m.key.participant });
+                        await plugins.dispatch('onStatus', {
+                            sock,
+                            message: m,
+                            sender: m.key.participant,
+                            statusId: m.key.id,
+                            type: msgType,
+                            content: inner,
+                            contextInfo: globalContextInfo
+                        });
+                    }
                     continue;
                 }
 
@@ -795,7 +708,7 @@ async function connectToWhatsApp() {
                 const isNewsletter = sender && sender.endsWith && sender.endsWith('@newsletter');
                 const isBroadcast = isJidBroadcast(sender) || isJidStatusBroadcast(sender);
 
-                logMessage('MESSAGE', `New ${isNewsletter ? 'newsletter' : isGroupMsg ? 'group' : isBroadcast ? 'broadcast' : 'private'} message from ${sender}`);
+                logMessage('MESSAGE', `New ${isNewsletter ? 'newsletter' : isGroupMsg ? 'group' : isBroadcast ? 'broadcast' : 'private'} message from ${sender}`, { chat: sender, sender: m.key.participant || sender });
 
                 // Auto-react to newsletters
                 if (isNewsletter && config.AUTO_REACT_NEWSLETTER) {
@@ -814,55 +727,143 @@ async function connectToWhatsApp() {
                 // ==========================================
                 // ✅ FIX 2: MODE CHECK + MESSAGE PARSING
                 // ==========================================
-                const ownerJid = `${config.OWNER_NUMBER}@s.whatsapp.net`;
-                const isOwner = sender === ownerJid || m.key.fromMe;
-
-                // Private mode: only owner can use commands (in groups AND private chats)
-                if (config.MODE === 'private' && !isOwner) {
-                    logMessage('DEBUG', `Private mode: Non-owner (${sender}) message ignored.`);
-                    continue;
-                }
-
-                // Public mode: everyone can use commands everywhere (groups + private)
-                // No additional checks needed!
+                // Roles are resolved from the author (participant in groups), not the chat JID
+                const author = await roles.resolveSender(sock, m);
+                let role = roles.getRole(author);
+                const isOwner = role === 'owner';
+                const isSudo = roles.hasRole(role, 'sudo');
 
                 // Extract text content for command parsing
                 const messageType = Object.keys(m.message)[0];
                 let content = '';
-                let isMentioned = false;
 
                 if (messageType === 'conversation') {
                     content = m.message.conversation || '';
                 } else if (messageType === 'extendedTextMessage') {
                     content = m.message.extendedTextMessage.text || '';
-                    if (isGroupMsg && global.botJid) isMentioned = isBotMentioned(m.message, global.botJid);
                 } else if (messageType === 'imageMessage') {
                     content = m.message.imageMessage.caption || '';
                 } else if (messageType === 'videoMessage') {
                     content = m.message.videoMessage.caption || '';
                 } else if (messageType === 'documentMessage') {
                     content = m.message.documentMessage.caption || '';
-                } else {
-                    // other types not supported for commands
-                    continue;
                 }
+                // other types not supported for commands, but still seen by passive hooks
 
                 logMessage('DEBUG', `Message content: ${content.substring(0, 100)}`);
-
-                // ✅ TREAT GROUPS LIKE PRIVATE MESSAGES - Only check for prefix
-                let isForBot = content.startsWith(prefix);
+                webhooks.emit('message', { ...webhooks.summarizeMessage(m), sender: author.jid || m.key.participant || sender, isGroup: isGroupMsg });
+
+                // Per-chat overrides fall back to config.js defaults
+                const prefixes = parsePrefixes(chatSettings.getSetting(sender, 'prefix'));
+
+                // ✅ TREAT GROUPS LIKE PRIVATE MESSAGES - a prefix, "@bot cmd" in groups, or a prefix-less command
+                const mentioned = isGroupMsg && config.MENTION_COMMANDS && mentionsBot(m.message, botIds(sock));
+                const parsed = parseCommand(content, {
+                    prefixes,
+                    mentionIds: mentioned ? botIds(sock) : [],
+                    // Never for the bot's own messages, so its replies can't trigger commands
+                    isNoPrefix: name => !m.key.fromMe && (noPrefixCommands().includes(name) || !!plugins.findCommand(name)?.noPrefix)
+                });
+                const chatPrefix = parsed?.prefix || prefixes[0];
+                let isForBot = !!parsed;
+
+                const passiveContext = {
+                    text: content,
+                    jid: sender,
+                    sender: m.key.participant || sender,
+                    isGroup: isGroupMsg,
+                    message: m,
+                    sock: sock,
+                    conn: sock,
+                    prefix: chatPrefix,
+                    isOwner: isOwner,
+                    isSudo: isSudo,
+                    role: role,
+                    groupMetadata: isGroupMsg ? groupCache.get(sender) : undefined,
+                    contextInfo: globalContextInfo,
+                    safeSend: (content, opts) => safeSend(sock, sender, content, opts)
+                };
+
+                // Moderation filters (anti-link, anti-bad) see every message, commands included,
+                // so ".x <invite link>" or "@bot <bad word>" can't slip past them
+                if (!m.key.fromMe && await plugins.filter(passiveContext)) {
+                    logMessage('DEBUG', `Message from ${passiveContext.sender} stopped by a filter`);
+                    continue;
+                }
 
                 if (!isForBot) {
+                    // Passive plugin hooks run for every non-command message, in any mode
+                    if (!m.key.fromMe) await plugins.dispatchMessage(passiveContext);
                     logMessage('DEBUG', 'Message not for bot, ignoring.');
                     continue;
                 }
 
+                // Banned users are ignored entirely
+                if (role === 'banned') {
+                    logMessage('DEBUG', `Banned user (${author.jid}) ignored.`);
+                    continue;
+                }
+
+                // Private mode: only owners and sudo users can use commands (in groups AND private chats)
+                if (chatSettings.getSetting(sender, 'mode') === 'private' && !isSudo) {
+                    logMessage('DEBUG', `Private mode: Non-owner (${sender}) message ignored.`);
+                    continue;
+                }
+
+                // Public mode: everyone can use commands everywhere (groups + private)
+                // No additional checks needed!
+
                 // extract command and args
-                const commandText = content.startsWith(prefix) ? content.slice(prefix.length).trim() : content.trim();
+                // Per-chat aliases, e.g. "yt despacito" -> "play despacito"
+                const commandText = expandAlias(sender, parsed.text);
                 const [cmd, ...args] = commandText.split(/\s+/);
                 const command = (cmd || '').toLowerCase();
 
-                logMessage('COMMAND', `Detected command: ${command} | Args: ${args.join(' ')}`);
+                const logContext = { chat: sender, sender: author.jid, command };
+                logMessage('COMMAND', `Detected command: ${command} | Args: ${args.join(' ')}`, logContext);
+
+                // Rate limiting and flood protection (owners and sudo users are exempt)
+                if (!isSudo) {
+                    const limit = rateLimiter.check(author.jid, command, plugins.findCommand(command)?.cooldown);
+                    if (!limit.allowed) {
+                        logMessage('DEBUG', `Rate limited (${limit.reason}): ${author.jid} -> ${command}`, logContext);
+                        if (limit.notify) {
+                            await sock.sendMessage(sender, {
+                                text: formatLimitMessage(limit, chatPrefix + command),
+                                contextInfo: globalContextInfo
+                            }, { quoted: m });
+                        }
+                        continue;
+                    }
+                }
+
+                // Commands switched off for this chat (settings itself can never be disabled).
+                // Disabling any name of a plugin disables all of them, e.g. "remind" also blocks "schedule".
+                const disabled = chatSettings.getSetting(sender, 'disabled');
+                const names = [command, ...plugins.commandNamesOf(plugins.findCommand(command))];
+                if (!isSudo && !names.some(name => /^settings?$/.test(name)) && names.some(name => disabled.includes(name))) {
+                    await sock.sendMessage(sender, {
+                        text: `🚫 *${chatPrefix}${command}* is disabled in this chat`,
+                        contextInfo: globalContextInfo
+                    }, { quoted: m });
+                    continue;
+                }
+
+                const commandPlugin = plugins.findCommand(command);
+                if (CORE_COMMANDS.includes(command) || commandPlugin?.execute) {
+                    webhooks.emit('command', {
+                        chat: sender,
+                        sender: author.jid,
+                        command,
+                        args,
+                        plugin: commandPlugin?.id || 'core',
+                        messageId: m.key.id
+                    });
+                }
+                // Core commands are counted here; plugin commands are timed around execute() below
+                if (CORE_COMMANDS.includes(command)) {
+                    metrics.command({ command, plugin: 'core', chat: sender, user: author.jid });
+                }
 
                 if (config.READ_MESSAGE) {
                     try { await sock.readMessages([m.key]); } catch (e) { /* ignore */ }
@@ -898,18 +899,19 @@ async function connectToWhatsApp() {
                     }
                     
                     const newMode = args[0]?.toLowerCase();
-                    if (!newMode || !['private', 'public'].includes(newMode)) {
+                    if (!newMode || !['private', 'public', 'both'].includes(newMode)) {
                         await sock.sendMessage(sender, { 
                             text: `📊 *Current MODE:* ${config.MODE}\n\n` +
-                                  `*Usage:* ${prefix}mode <private|public>\n\n` +
-                                  `• *private* - Only owner can use bot\n` +
-                                  `• *public* - Everyone can use bot`,
+                                  `*Usage:* ${chatPrefix}mode <private|public|both>\n\n` +
+                                  `• *private* - Only owners and sudo users can use bot\n` +
+                                  `• *public* / *both* - Everyone can use bot`,
                             contextInfo: globalContextInfo
                         }, { quoted: m });
                         continue;
                     }
                     
-                    config.MODE = newMode;
+                    // Persisted to config.env so the mode survives restarts
+                    configManager.setVar('MODE', newMode);
                     await sock.sendMessage(sender, { 
                         text: `✅ Bot MODE changed to: *${newMode.toUpperCase()}*\n\n` +
                               `${newMode === 'private' ? '🔒 Only you can use the bot now.' : '🌍 Everyone can use the bot now.'}`,
@@ -943,21 +945,61 @@ async function connectToWhatsApp() {
                     continue;
                 }
 
+                // ==========================================
+                // ✅ PLUGIN MANAGEMENT COMMANDS
+                // ==========================================
+                if (['plugins', 'reload', 'disable', 'enable'].includes(command)) {
+                    if (!isOwner) {
+                        await sock.sendMessage(sender, { text: '❌ Owner only command!' }, { quoted: m });
+                        continue;
+                    }
+
+                    const name = args[0];
+                    let reply;
+
+                    if (command === 'plugins') {
+                        const lines = [...plugins.plugins.values()].map(p =>
+                            `${plugins.isEnabled(p) ? '🟢' : '⚪'} ${p.id}`);
+                        for (const [id, error] of plugins.errors) lines.push(`🔴 ${id} — ${error}`);
+                        reply = `*🔌 Plugins (${plugins.plugins.size} loaded, ${plugins.errors.size} failed)*\n\n` +
+                            (lines.join('\n') || '_No plugins found_') +
+                            `\n\n🟢 enabled • ⚪ disabled • 🔴 failed to load`;
+                    } else if (command === 'reload') {
+                        if (name && !plugins.resolve(name).length) {
+                            reply = `❌ No plugin named "${name}"`;
+                        } else {
+                            reply = formatReloadResult(plugins.reload(name));
+                        }
+                    } else {
+                        const ids = plugins.resolve(name).filter(id => plugins.plugins.has(id));
+                        if (!name) {
+                            reply = `*Usage:* ${chatPrefix}${command} <plugin name>`;
+                        } else if (!ids.length) {
+                            reply = `❌ No loaded plugin named "${name}"`;
+                        } else {
+                            ids.forEach(id => plugins.setDisabled(id, command === 'disable'));
+                            reply = `✅ ${command === 'disable' ? 'Disabled' : 'Enabled'}: ${ids.join(', ')}`;
+                        }
+                    }
+
+                    await sock.sendMessage(sender, { text: reply, contextInfo: globalContextInfo }, { quoted: m });
+                    continue;
+                }
+
                 // ==========================================
                 // ✅ FIX 4: UPDATED MENU COMMAND
                 // ==========================================
                 if (command === 'menu') {
-                    const coreCommands = ['ping', 'alive', 'menu', 'mode', 'resetsession'];
                     const pluginCommands = plugins.getCommandList();
                     
                     let menuText = `*✦ ${config.BOT_NAME} ✦ Command Menu*
 
-• *Prefix:* \`${prefix}\`
+• *Prefix:* \`${prefixes.join(' ')}\`
 • *Mode:* ${config.MODE.toUpperCase()} ${config.MODE === 'private' ? '🔒' : '🌍'}
-• *Plugins Loaded:* ${plugins.commandHandlers.size}
+• *Plugins Loaded:* ${plugins.size}
 
 *📋 Core Commands:*
-${coreCommands.map(c => `• ${prefix}${c}`).join('\n')}
+${CORE_COMMANDS.map(c => `• ${chatPrefix}${c}`).join('\n')}
 `;
 
                     if (pluginCommands.length > 0) {
@@ -969,10 +1011,12 @@ ${coreCommands.map(c => `• ${prefix}${c}`).join('\n')}
                             const tag = cmd.tags[0] || 'misc';
                             if (!grouped[tag]) grouped[tag] = [];
                             
-                            let cmdStr = `• ${prefix}${cmd.command}`;
-                            if (cmd.owner) cmdStr += ' 👑';
-                            if (cmd.admin) cmdStr += ' 👮';
+                            let cmdStr = `• ${chatPrefix}${cmd.command}`;
+                            if (cmd.role === 'owner') cmdStr += ' 👑';
+                            if (cmd.role === 'sudo') cmdStr += ' 🛡️';
+                            if (cmd.admin || cmd.role === 'admin') cmdStr += ' 👮';
                             if (cmd.group) cmdStr += ' 👥';
+                            if (cmd.private) cmdStr += ' 💬';
                             cmdStr += ` - ${cmd.help}`;
                             
                             grouped[tag].push(cmdStr);
@@ -983,14 +1027,16 @@ ${coreCommands.map(c => `• ${prefix}${c}`).join('\n')}
                         }
                     }
 
-                    menuText += `\n⚡ *Total Commands:* ${coreCommands.length + pluginCommands.length}
+                    menuText += `\n⚡ *Total Commands:* ${CORE_COMMANDS.length + pluginCommands.length}
 
-${config.MODE === 'private' ? '🔒 *Private Mode:* Only owner can use bot' : '🌍 *Public Mode:* Everyone can use bot'}
+${config.MODE === 'private' ? '🔒 *Private Mode:* Only owners and sudo users can use bot' : '🌍 *Public Mode:* Everyone can use bot'}
 
 *Legend:*
 👑 = Owner only
+🛡️ = Sudo only
 👮 = Admin only  
 👥 = Group only
+💬 = Private only
 
 ✨ ${config.DESCRIPTION}`;
 
@@ -1015,108 +1061,114 @@ ${config.MODE === 'private' ? '🔒 *Private Mode:* Only owner can use bot' : '
                 // ==========================================
                 // ✅ FIX 5: NEW PLUGIN COMMANDS HANDLING
                 // ==========================================
-                let pluginFound = false;
-                for (const [cmdRegex, handler] of plugins.commandHandlers.entries()) {
-                    const firstWord = command;
-                    if (cmdRegex.test(firstWord)) {
-                        pluginFound = true;
-                        
-                        // Get plugin info
-                        const pluginInfo = plugins.pluginInfo.get(cmdRegex.source);
+                const plugin = commandPlugin;
+                const pluginFound = !!plugin?.execute;
+                let started = null;
+                if (pluginFound) {
+                    try {
+                        // Check group only
+                        if (plugin.group && !isGroupMsg) {
+                            await sock.sendMessage(sender, { 
+                                text: '👥 Group only command',
+                                contextInfo: globalContextInfo 
+                            }, { quoted: m });
+                            continue;
+                        }
+
+                        // Check private only
+                        if (plugin.private && isGroupMsg) {
+                            await sock.sendMessage(sender, { 
+                                text: '💬 Private chat only command',
+                                contextInfo: globalContextInfo 
+                            }, { quoted: m });
+                            continue;
+                        }
                         
-                        try {
-                            // Check owner permission
-                            if (pluginInfo?.owner && !isOwner) {
-                                await sock.sendMessage(sender, { 
-                                    text: '👑 Owner only command',
-                                    contextInfo: globalContextInfo 
-                                }, { quoted: m });
-                                break;
-                            }
-                            
-                            // Check group only
-                            if (pluginInfo?.group && !isGroupMsg) {
-                                await sock.sendMessage(sender, { 
-                                    text: '👥 Group only command',
-                                    contextInfo: globalContextInfo 
-                                }, { quoted: m });
-                                break;
-                            }
-                            
-                            // Check admin permission
-                            if (pluginInfo?.admin && isGroupMsg) {
-                                try {
-                                    const metadata = await sock.groupMetadata(sender);
-                                    const userParticipant = metadata.participants.find(p => p.id === (m.key.participant || sender));
-                                    if (!userParticipant || (!userParticipant.admin && !userParticipant.superAdmin)) {
-                                        await sock.sendMessage(sender, { 
-                                            text: '👮 Admin required',
-                                            contextInfo: globalContextInfo 
-                                        }, { quoted: m });
-                                        break;
-                                    }
-                                } catch (e) {
-                                    logMessage('WARN', `Admin check failed: ${e.message}`);
-                                }
-                            }
-                            
-                            // Check bot admin permission
-                            if (pluginInfo?.botAdmin && isGroupMsg) {
-                                try {
-                                    const metadata = await sock.groupMetadata(sender);
-                                    const botJid = sock.user.id.split(':')[0] + '@s.whatsapp.net';
-                                    const botParticipant = metadata.participants.find(p => p.id === botJid);
-                                    if (!botParticipant || (!botParticipant.admin && !botParticipant.superAdmin)) {
-                                        await sock.sendMessage(sender, { 
-                                            text: '🤖 Bot needs admin rights',
-                                            contextInfo: globalContextInfo 
-                                        }, { quoted: m });
-                                        break;
-                                    }
-                                } catch (e) {
-                                    logMessage('WARN', `Bot admin check failed: ${e.message}`);
-                                }
+                        // Fetched at most once per dispatch, shared by the admin and bot admin checks
+                        let metadataRequest = null;
+                        const getGroupMetadata = () => (metadataRequest ??= groupCache.fetch(sock, sender));
+
+                        // Check role: admin-flagged commands need at least group admin in groups
+                        const required = plugin.admin && isGroupMsg && !roles.hasRole(plugin.role, 'admin') ? 'admin' : plugin.role;
+                        if (required === 'admin' && isGroupMsg && !roles.hasRole(role, 'admin')) {
+                            try {
+                                const metadata = await getGroupMetadata();
+                                if (author.ids.some(id => isGroupAdmin(metadata.participants, id))) role = 'admin';
+                            } catch (e) {
+                                logMessage('WARN', `Admin check failed: ${e.message}`);
                             }
+                        }
+                        if (!roles.hasRole(role, required)) {
+                            await sock.sendMessage(sender, { 
+                                text: ROLE_DENIED[required] || ROLE_DENIED.owner,
+                                contextInfo: globalContextInfo 
+                            }, { quoted: m });
+                            continue;
+                        }
 
-                            logMessage('PLUGIN', `Executing plugin command: ${command}`);
-                            
-                            // Execute with context structure
-                            await handler.execute({
-                                text: commandText,
-                                jid: sender,
-                                sender: m.key.participant || sender,
-                                isGroup: isGroupMsg,
-                                message: m,
-                                sock: sock,
-                                args: args,
-                                command: command,
-                                prefix: prefix,
-                                isOwner: isOwner,
-                                contextInfo: globalContextInfo,
-                                pluginInfo: pluginInfo
-                            });
-                            
-                            logMessage('SUCCESS', `Plugin executed: ${command}`);
-                        } catch (err) {
-                            logMessage('ERROR', `❌ Plugin "${command}" failed: ${err.message}`);
-                            logMessage('ERROR', `   Stack: ${err.stack || 'No stack trace'}`);
-                            logMessage('ERROR', `   File: ${pluginInfo?.filename || 'unknown'}`);
-                            
+                        // Check bot admin permission
+                        if (plugin.botAdmin && isGroupMsg) {
                             try {
-                                await sock.sendMessage(sender, {
-                                    text: `❌ Command "${command}" failed.\n\n*Error:* ${err.message}`,
-                                    contextInfo: globalContextInfo
-                                }, { quoted: m });
-                            } catch (sendErr) {
-                                logMessage('WARN', `Could not send error message: ${sendErr.message}`);
+                                const metadata = await getGroupMetadata();
+                                const botIds = [sock.user.id, sock.user.lid].filter(Boolean);
+                                if (!botIds.some(id => isGroupAdmin(metadata.participants, id))) {
+                                    await sock.sendMessage(sender, { 
+                                        text: '🤖 Bot needs admin rights',
+                                        contextInfo: globalContextInfo 
+                                    }, { quoted: m });
+                                    continue;
+                                }
+                            } catch (e) {
+                                logMessage('WARN', `Bot admin check failed: ${e.message}`);
                             }
                         }
-                        break;
+
+                        logMessage('PLUGIN', `Executing plugin command: ${command}`, { ...logContext, plugin: plugin.id });
+                        started = Date.now();
+
+                        // Execute with context structure (conn/safeSend keep plugins/ style plugins working)
+                        await plugin.execute({
+                            text: commandText,
+                            jid: sender,
+                            sender: m.key.participant || sender,
+                            isGroup: isGroupMsg,
+                            message: m,
+                            sock: sock,
+                            conn: sock,
+                            args: args,
+                            command: command,
+                            prefix: chatPrefix,
+                            isOwner: isOwner,
+                            isSudo: isSudo,
+                            role: role,
+                            groupMetadata: isGroupMsg ? await getGroupMetadata().catch(() => null) : null,
+                            contextInfo: globalContextInfo,
+                            pluginInfo: plugin,
+                            safeSend: (content, opts) => safeSend(sock, sender, content, opts)
+                        });
+                        
+                        metrics.command({ command, plugin: plugin.id, chat: sender, user: author.jid, ms: Date.now() - started });
+                        logMessage('SUCCESS', `Plugin executed: ${command}`, { ...logContext, plugin: plugin.id });
+                    } catch (err) {
+                        // Errors before execute(), like a failed permission notice, aren't command runs
+                        if (started) metrics.command({ command, plugin: plugin.id, chat: sender, user: author.jid, ms: Date.now() - started, error: true });
+                        logMessage('ERROR', `❌ Plugin "${command}" failed: ${err.stack || err.message}`, { ...logContext, plugin: plugin.id || 'unknown' });
+                        
+                        try {
+                            await sock.sendMessage(sender, {
+                                text: `❌ Command "${command}" failed.\n\n*Error:* ${err.message}`,
+                                contextInfo: globalContextInfo
+                            }, { quoted: m });
+                        } catch (sendErr) {
+                            logMessage('WARN', `Could not send error message: ${sendErr.message}`);
+                        }
                     }
                 }
 
                 if (!pluginFound) {
-                    logMessage('WARN', `Command not found: ${command}`);
+                    logMessage('WARN', `Command not found: ${command}`, logContext);
+                    const reply = unknownCommandReply(command, chatPrefix, isGroupMsg, parsed.trigger);
+                    if (reply) await sock.sendMessage(sender, { text: reply, contextInfo: globalContextInfo }, { quoted: m });
                 }
             }
         } catch (err) {
@@ -1132,16 +1184,26 @@ const app = express();
 app.use(express.static(path.join(__dirname, 'smm')));
 app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'smm', 'silva.html')));
 app.get('/health', (req, res) => res.send(`✅ ${config.BOT_NAME} is Running!`));
+app.get('/status', (req, res) => res.json({ ok: supervisor.state === 'open', uptime: Math.floor(process.uptime()), ...supervisor.status() }));
+app.get('/metrics', (req, res) => {
+    // Open while the API is disabled, like /status; otherwise scrape with the API key as a bearer token
+    const bearer = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    if (config.API_KEY && !keyMatches(req.get('x-api-key') || bearer)) return res.status(401).send('Invalid or missing API key\n');
+    res.type('text/plain; version=0.0.4').send(metrics.prometheus(getStatus({ getSock: () => activeSock, plugins, supervisor })));
+});
+app.use('/api', createApi({ getSock: () => activeSock, plugins, supervisor }));
+app.use('/login', loginFlow.router());
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
     logMessage('INFO', `🌐 Server running on port ${port}`);
-    logMessage('INFO', `📊 Dashboard available at http://localhost:${port}`);
+    logMessage('INFO', `📊 Dashboard available at http://localhost:${port}${config.API_KEY ? '' : ' (set API_KEY to unlock it)'}`);
 });
+createDashboard(server, { getSock: () => activeSock, plugins, supervisor });
 
 // ✅ Error handling
+// The supervisor owns reconnects; starting another socket here would run two at once
 process.on('uncaughtException', (err) => {
     logMessage('CRITICAL', `Uncaught Exception: ${err.stack || err.message}`);
-    setTimeout(() => connectToWhatsApp(), 5000);
 });
 process.on('unhandledRejection', (reason, promise) => {
     logMessage('CRITICAL', `Unhandled Rejection: ${reason} at ${promise}`);
@@ -1151,9 +1213,15 @@ process.on('unhandledRejection', (reason, promise) => {
 (async () => {
     try {
         logMessage('INFO', 'Booting Silva MD Bot...');
-        await connectToWhatsApp();
+        await initDatabase();
+        metrics.autosave();
+        await loadPlugins();
+        // Jobs go out on whichever socket is connected when they fall due
+        scheduler.start(() => activeSock);
+        antibad.resumeUnmutes(() => activeSock);
+        // One socket at a time; failed attempts are retried with backoff
+        await supervisor.start(connectToWhatsApp);
     } catch (e) {
         logMessage('CRITICAL', `Bot Init Failed: ${e.stack || e.message}`);
-        setTimeout(() => connectToWhatsApp(), 5000);
     }
 })();
@@ -0,0 +1,62 @@
+// silvaxlab/alias.js - Per-chat command aliases
+const { getAliases, setAlias, removeAlias } = require('../lib/commands.js');
+
+function overview(jid, prefix) {
+    const rows = Object.entries(getAliases(jid)).map(([name, target]) => `• ${prefix}${name} → ${prefix}${target}`);
+    return `🔀 *Command Aliases*
+
+${rows.join('\n') || '_None in this chat_'}
+
+*Usage:*
+• ${prefix}alias <name>=<command> [args]
+• ${prefix}alias remove <name>
+
+*Examples:*
+• ${prefix}alias yt=play
+• ${prefix}alias cfg=settings`;
+}
+
+module.exports = {
+    handler: {
+        command: /^(alias|aliases)$/i,
+        help: ['Add, list or remove command aliases for this chat'],
+        tags: ['group'],
+        group: false,
+        admin: true,
+        botAdmin: false,
+        owner: false,
+
+        execute: async (context) => {
+            const { sock, message, jid, args, prefix, isGroup, isOwner } = context;
+            const reply = text => sock.sendMessage(jid, { text, contextInfo: context.contextInfo }, { quoted: message });
+            const input = args.join(' ').trim();
+            const unprefixed = text => (text.startsWith(prefix) ? text.slice(prefix.length) : text);
+
+            if (!input) return reply(overview(jid, prefix));
+            if (!isGroup && !isOwner) return reply('👑 Only the owner can change private chat aliases');
+
+            const remove = /^(remove|rm|del|delete)\s+(\S+)$/i.exec(input);
+            if (remove) {
+                const name = unprefixed(remove[2]);
+                return reply(removeAlias(jid, name) ? `🗑️ Removed alias *${prefix}${name}*` : `❌ No alias named *${name}*`);
+            }
+
+            const separator = input.indexOf('=');
+            if (separator === -1) return reply(`❌ Use ${prefix}alias <name>=<command>\n\n${overview(jid, prefix)}`);
+
+            // Accept "yt=.play" and ".yt = play"
+            const name = unprefixed(input.slice(0, separator).trim());
+            const target = unprefixed(input.slice(separator + 1).trim());
+            if (!target) {
+                return reply(removeAlias(jid, name) ? `🗑️ Removed alias *${prefix}${name}*` : `❌ No alias named *${name}*`);
+            }
+
+            try {
+                const alias = setAlias(jid, name, target);
+                return reply(`✅ *${prefix}${alias.name}* now runs *${prefix}${alias.target}*`);
+            } catch (e) {
+                return reply(`❌ ${e.message}`);
+            }
+        }
+    }
+};
@@ -0,0 +1,105 @@
+// silvaxlab/antibad.js - Manage the bad-word filter and enforce it on messages
+const antibad = require('../lib/antibad.js');
+const { parseToggle } = require('../lib/functions.js');
+
+function statusText(key, prefix) {
+    const s = antibad.getSettings(key);
+    return `🤬 *Anti-Bad Word Filter*
+
+• *Enabled:* ${s.enabled ? '✅' : '❌'}
+• *Action:* ${s.action}${s.action === 'warn' ? ` (remove after ${s.limit})` : ''}${s.action === 'mute' ? ` (${s.muteMinutes} min)` : ''}
+• *Built-in list:* ${s.useDefaults ? `✅ (${antibad.DEFAULT_WORDS.length} words)` : '❌'}
+• *Custom entries:* ${s.words.length}
+
+*Usage:*
+• ${prefix}antibad <on|off>
+• ${prefix}antibad action <${antibad.ACTIONS.join('|')}>
+• ${prefix}antibad add <word|/regex/>  _(regex: sudo only)_
+• ${prefix}antibad del <word|/regex/>
+• ${prefix}antibad list
+• ${prefix}antibad defaults <on|off>
+• ${prefix}antibad limit <number>
+• ${prefix}antibad mutetime <minutes>
+
+_Admins are never affected. In private chats the settings apply to all DMs._`;
+}
+
+module.exports = {
+    handler: {
+        command: /^(antibad)$/i,
+        help: ['Filter profanity and custom words'],
+        tags: ['group'],
+        group: false,
+        admin: true,
+        botAdmin: false,
+        owner: false,
+
+        execute: async (context) => {
+            const { sock, message, jid, args, prefix, isGroup, isOwner, isSudo } = context;
+            const reply = text => sock.sendMessage(jid, { text, contextInfo: context.contextInfo }, { quoted: message });
+
+            // Private-chat settings are global, so only the owner may change them
+            if (!isGroup && !isOwner) return reply('👑 Only the owner can manage the filter for private chats');
+
+            const key = antibad.settingsKey(jid, isGroup);
+            const option = (args[0] || '').toLowerCase();
+            const value = args.slice(1).join(' ').trim();
+
+            if (parseToggle(option) !== null) {
+                antibad.updateSettings(key, { enabled: parseToggle(option) });
+                return reply(`✅ Bad-word filter ${parseToggle(option) ? 'enabled' : 'disabled'}`);
+            }
+
+            switch (option) {
+                case 'action':
+                    if (!antibad.ACTIONS.includes(value.toLowerCase())) {
+                        return reply(`*Usage:* ${prefix}antibad action <${antibad.ACTIONS.join('|')}>`);
+                    }
+                    antibad.updateSettings(key, { action: value.toLowerCase() });
+                    return reply(`✅ Filter action set to *${value.toLowerCase()}*`);
+                case 'add': {
+                    if (!value) return reply(`*Usage:* ${prefix}antibad add <word|/regex/>`);
+                    // Patterns run on every message; a bad one can stall the bot for every chat
+                    if (value.startsWith('/') && !isSudo) return reply('🛡️ Only the owner or sudo users can add regex entries');
+                    if (value.startsWith('/') && !antibad.parseRegexEntry(value)) {
+                        return reply(`❌ Invalid regular expression (up to ${antibad.MAX_REGEX_LENGTH} characters)`);
+                    }
+                    const entry = value.startsWith('/') ? value : value.toLowerCase();
+                    const { words } = antibad.getSettings(key);
+                    antibad.updateSettings(key, { words: [...new Set([...words, entry])] });
+                    return reply(`✅ Added: ${entry}`);
+                }
+                case 'del':
+                case 'remove': {
+                    const { words } = antibad.getSettings(key);
+                    const entry = value.startsWith('/') ? value : value.toLowerCase();
+                    if (!words.includes(entry)) return reply(`❌ "${value}" is not in the custom list`);
+                    antibad.updateSettings(key, { words: words.filter(w => w !== entry) });
+                    return reply(`✅ Removed: ${entry}`);
+                }
+                case 'list': {
+                    const { words } = antibad.getSettings(key);
+                    return reply(`📝 *Custom entries (${words.length})*\n\n${words.map(w => `• ${w}`).join('\n') || '_none_'}`);
+                }
+                case 'defaults':
+                    if (parseToggle(value) === null) return reply(`*Usage:* ${prefix}antibad defaults <on|off>`);
+                    antibad.updateSettings(key, { useDefaults: parseToggle(value) });
+                    return reply(`✅ Built-in word list ${parseToggle(value) ? 'enabled' : 'disabled'}`);
+                case 'limit':
+                case 'mutetime': {
+                    const number = parseInt(value, 10);
+                    if (!number || number < 1) return reply(`*Usage:* ${prefix}antibad ${option} <number>`);
+                    antibad.updateSettings(key, option === 'limit' ? { limit: number } : { muteMinutes: number });
+                    return reply(option === 'limit'
+                        ? `✅ Members will be removed after ${number} warning(s)`
+                        : `✅ Mute lasts ${number} minute(s)`);
+                }
+                default:
+                    return reply(statusText(key, prefix));
+            }
+        },
+
+        // A filter rather than onMessage so prefixed and @mention messages are checked too
+        onFilter: (ctx) => antibad.enforce(ctx)
+    }
+};
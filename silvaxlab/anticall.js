@@ -0,0 +1,88 @@
+// silvaxlab/anticall.js - Manage anti-call settings at runtime
+const anticall = require('../lib/anticall.js');
+const { parseToggle: onOff } = require('../lib/functions.js');
+
+function statusText(prefix) {
+    const s = anticall.getSettings();
+    return `📵 *Anti-Call Settings*
+
+• *Reject calls:* ${s.rejectCalls ? '✅' : '❌'}
+• *Block caller:* ${s.blockCaller ? '✅' : '❌'}
+• *Notify admin:* ${s.notifyAdmin ? '✅' : '❌'}
+• *Admin:* ${s.adminNumber.split('@')[0]}
+• *Auto-reply:* ${s.autoReply || '_none_'}
+• *Blocked users:* ${s.blockedUsers.length}
+
+*Usage:*
+• ${prefix}anticall <on|off>
+• ${prefix}anticall block <on|off>
+• ${prefix}anticall notify <on|off>
+• ${prefix}anticall msg <text|off>
+• ${prefix}anticall admin <number>
+• ${prefix}anticall unblock <number>`;
+}
+
+module.exports = {
+    handler: {
+        command: /^(anticall)$/i,
+        help: ['Reject, block and report incoming calls'],
+        tags: ['owner'],
+        group: false,
+        admin: false,
+        botAdmin: false,
+        owner: true,
+
+        execute: async (context) => {
+            const { sock, message, jid, args, prefix } = context;
+            const reply = text => sock.sendMessage(jid, { text, contextInfo: context.contextInfo }, { quoted: message });
+
+            const [option, ...rest] = args;
+            const sub = (option || '').toLowerCase();
+            const value = rest.join(' ').trim();
+
+            if (!sub) return reply(statusText(prefix));
+
+            if (onOff(sub) !== null) {
+                anticall.updateSettings({ rejectCalls: onOff(sub) });
+                return reply(`✅ Call rejection ${onOff(sub) ? 'enabled' : 'disabled'}`);
+            }
+
+            switch (sub) {
+                case 'block':
+                case 'notify': {
+                    const flag = onOff(value.toLowerCase());
+                    if (flag === null) return reply(`*Usage:* ${prefix}anticall ${sub} <on|off>`);
+                    const key = sub === 'block' ? 'blockCaller' : 'notifyAdmin';
+                    anticall.updateSettings({ [key]: flag });
+                    return reply(`✅ ${sub === 'block' ? 'Blocking callers' : 'Admin notifications'} ${flag ? 'enabled' : 'disabled'}`);
+                }
+                case 'msg': {
+                    if (!value) return reply(`*Usage:* ${prefix}anticall msg <text|off>`);
+                    const autoReply = value.toLowerCase() === 'off' ? '' : value;
+                    anticall.updateSettings({ autoReply });
+                    return reply(autoReply ? '✅ Auto-reply updated' : '✅ Auto-reply disabled');
+                }
+                case 'admin': {
+                    const adminJid = anticall.toUserJid(value);
+                    if (!adminJid) return reply(`*Usage:* ${prefix}anticall admin <number>`);
+                    anticall.updateSettings({ adminNumber: adminJid });
+                    return reply(`✅ Call alerts will go to ${adminJid.split('@')[0]}`);
+                }
+                case 'unblock': {
+                    const userJid = anticall.toUserJid(value);
+                    if (!userJid) return reply(`*Usage:* ${prefix}anticall unblock <number>`);
+                    try {
+                        await sock.updateBlockStatus(userJid, 'unblock');
+                    } catch (e) {
+                        return reply(`❌ Failed to unblock: ${e.message}`);
+                    }
+                    const { blockedUsers } = anticall.getSettings();
+                    anticall.updateSettings({ blockedUsers: blockedUsers.filter(u => u !== userJid) });
+                    return reply(`✅ Unblocked ${userJid.split('@')[0]}`);
+                }
+                default:
+                    return reply(statusText(prefix));
+            }
+        }
+    }
+};
@@ -0,0 +1,84 @@
+// silvaxlab/antilink.js - Per-group anti-link settings and enforcement
+const antilink = require('../lib/antilink.js');
+const { parseToggle } = require('../lib/functions.js');
+
+function statusText(jid, prefix) {
+    const s = antilink.getSettings(jid);
+    return `🔗 *Anti-Link Settings*
+
+• *Enabled:* ${s.enabled ? '✅' : '❌'}
+• *Action:* ${s.action}${s.action === 'kick' ? ` (after ${s.limit} warnings)` : ''}
+• *Invite links only:* ${s.invitesOnly ? '✅' : '❌'}
+• *Allowed domains:* ${s.whitelist.join(', ') || '_none_'}
+
+*Usage:*
+• ${prefix}antilink <on|off>
+• ${prefix}antilink action <warn|delete|kick>
+• ${prefix}antilink limit <number>
+• ${prefix}antilink invites <on|off>
+• ${prefix}antilink allow <domain>
+• ${prefix}antilink deny <domain>
+
+_Admins are never affected._`;
+}
+
+module.exports = {
+    handler: {
+        command: /^(antilink)$/i,
+        help: ['Warn, delete or kick members who post links'],
+        tags: ['group'],
+        group: true,
+        admin: true,
+        botAdmin: false,
+        owner: false,
+
+        execute: async (context) => {
+            const { sock, message, jid, args, prefix } = context;
+            const reply = text => sock.sendMessage(jid, { text, contextInfo: context.contextInfo }, { quoted: message });
+
+            const [option, value] = [(args[0] || '').toLowerCase(), (args[1] || '').toLowerCase()];
+
+            if (parseToggle(option) !== null) {
+                antilink.updateSettings(jid, { enabled: parseToggle(option) });
+                return reply(`✅ Anti-link ${parseToggle(option) ? 'enabled' : 'disabled'}`);
+            }
+
+            switch (option) {
+                case 'action':
+                    if (!antilink.ACTIONS.includes(value)) {
+                        return reply(`*Usage:* ${prefix}antilink action <${antilink.ACTIONS.join('|')}>`);
+                    }
+                    antilink.updateSettings(jid, { action: value });
+                    return reply(`✅ Anti-link action set to *${value}*`);
+                case 'limit': {
+                    const limit = parseInt(value, 10);
+                    if (!limit || limit < 1) return reply(`*Usage:* ${prefix}antilink limit <number>`);
+                    antilink.updateSettings(jid, { limit });
+                    return reply(`✅ Members will be removed after ${limit} warning(s)`);
+                }
+                case 'invites':
+                    if (parseToggle(value) === null) return reply(`*Usage:* ${prefix}antilink invites <on|off>`);
+                    antilink.updateSettings(jid, { invitesOnly: parseToggle(value) });
+                    return reply(parseToggle(value)
+                        ? '✅ Only WhatsApp invite links will be blocked'
+                        : '✅ All links will be blocked');
+                case 'allow':
+                case 'deny': {
+                    const domain = value.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
+                    if (!domain) return reply(`*Usage:* ${prefix}antilink ${option} <domain>`);
+                    const { whitelist } = antilink.getSettings(jid);
+                    const updated = option === 'allow'
+                        ? [...new Set([...whitelist, domain])]
+                        : whitelist.filter(d => d !== domain);
+                    antilink.updateSettings(jid, { whitelist: updated });
+                    return reply(`✅ ${domain} ${option === 'allow' ? 'added to' : 'removed from'} the allowed domains`);
+                }
+                default:
+                    return reply(statusText(jid, prefix));
+            }
+        },
+
+        // A filter rather than onMessage so prefixed and @mention messages are checked too
+        onFilter: (ctx) => antilink.enforce(ctx)
+    }
+};
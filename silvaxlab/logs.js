@@ -0,0 +1,71 @@
+// silvaxlab/logs.js - Latest log entries and the current log file
+const fs = require('fs');
+const { readLogs, listLogFiles, LEVELS } = require('../lib/logger.js');
+
+const DEFAULT_COUNT = 15;
+const MAX_COUNT = 50;
+const MAX_LENGTH = 300;
+
+const ICONS = { trace: '⚪', debug: '⚪', info: '🔵', warn: '🟡', error: '🔴', fatal: '💀' };
+const CONTEXT_KEYS = ['command', 'plugin', 'chat', 'sender'];
+
+function formatEntry(entry) {
+    const time = new Date(entry.time).toISOString().slice(11, 19);
+    const label = entry.type || entry.level.toUpperCase();
+    const msg = entry.msg.length > MAX_LENGTH ? `${entry.msg.slice(0, MAX_LENGTH)}…` : entry.msg;
+    const context = CONTEXT_KEYS
+        .filter(key => entry[key])
+        .map(key => `${key}=${String(entry[key]).split('@')[0]}`)
+        .join(' ');
+    return `${ICONS[entry.level] || '⚪'} ${time} *${label}* ${msg}${context ? `\n   _${context}_` : ''}`;
+}
+
+module.exports = {
+    handler: {
+        command: /^(logs)$/i,
+        help: ['Show the latest log entries: logs [level] [n], or logs file'],
+        tags: ['owner'],
+        group: false,
+        admin: false,
+        botAdmin: false,
+        owner: true,
+
+        execute: async (context) => {
+            const { sock, message, jid, sender, args, prefix, isGroup } = context;
+            const reply = text => sock.sendMessage(jid, { text, contextInfo: context.contextInfo }, { quoted: message });
+            // Logs name chats and numbers, so they never go to a group
+            const target = isGroup ? sender : jid;
+
+            if ((args[0] || '').toLowerCase() === 'file') {
+                const [latest] = listLogFiles();
+                if (!latest) return reply('📭 No log file yet');
+                await sock.sendMessage(target, {
+                    document: fs.readFileSync(latest.file),
+                    fileName: latest.name,
+                    mimetype: 'text/plain',
+                    caption: `🧾 ${latest.name} (${(latest.size / 1024).toFixed(1)} KB)`
+                });
+                if (isGroup) return reply('📩 Sent to your private chat');
+                return;
+            }
+
+            let level = 'info';
+            let count = DEFAULT_COUNT;
+            for (const arg of args) {
+                const value = arg.toLowerCase();
+                if (LEVELS.includes(value)) level = value;
+                else if (/^\d+$/.test(value)) count = Math.min(MAX_COUNT, Math.max(1, Number(value)));
+                else return reply(`❌ Unknown option "${arg}"\n\n*Usage:*\n• ${prefix}logs [${LEVELS.join('|')}] [1-${MAX_COUNT}]\n• ${prefix}logs file`);
+            }
+
+            const entries = readLogs({ level, limit: count });
+            if (!entries.length) return reply(`✅ No ${level} or higher entries in the logs`);
+
+            await sock.sendMessage(target, {
+                text: `🧾 *Last ${entries.length} log entr${entries.length === 1 ? 'y' : 'ies'}* (${level}+)\n\n${entries.map(formatEntry).join('\n')}`,
+                contextInfo: context.contextInfo
+            });
+            if (isGroup) return reply('📩 Sent to your private chat');
+        }
+    }
+};
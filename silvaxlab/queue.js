@@ -0,0 +1,50 @@
+// silvaxlab/queue.js - Outbound message queue metrics and failed sends
+const config = require('../config.js');
+const { messageQueue } = require('../lib/messageQueue.js');
+
+function statusText(prefix) {
+    const m = messageQueue.getMetrics();
+    return `📤 *Send Queue*
+
+• *Pending:* ${m.pending} in ${m.chats} chat(s)
+• *Queued:* ${m.queued}
+• *Sent:* ${m.sent}
+• *Retried:* ${m.retried}
+• *Failed:* ${m.failed}
+• *Dead letters:* ${m.deadLetters}
+• *Rate:* ${config.SEND_RATE_PER_MINUTE || '∞'}/min (burst ${config.SEND_BURST})
+
+*Usage:*
+• ${prefix}queue failed
+• ${prefix}queue clear`;
+}
+
+module.exports = {
+    handler: {
+        command: /^(queue)$/i,
+        help: ['Show outbound message queue metrics and failed sends'],
+        tags: ['owner'],
+        group: false,
+        admin: false,
+        botAdmin: false,
+        owner: true,
+
+        execute: async (context) => {
+            const { sock, message, jid, args, prefix } = context;
+            const reply = text => sock.sendMessage(jid, { text, contextInfo: context.contextInfo }, { quoted: message });
+
+            switch ((args[0] || '').toLowerCase()) {
+                case 'failed': {
+                    const failed = messageQueue.getDeadLetters().slice(-10).reverse();
+                    if (!failed.length) return reply('✅ No failed sends');
+                    const lines = failed.map(f => `• ${f.failedAt.slice(11, 19)} ${f.type} → ${f.jid.split('@')[0]}\n   _${f.error}_ (${f.attempts} attempt(s))`);
+                    return reply(`❌ *Last ${failed.length} failed send(s)*\n\n${lines.join('\n')}`);
+                }
+                case 'clear':
+                    return reply(`🗑️ Cleared ${messageQueue.clearDeadLetters()} dead letter(s)`);
+                default:
+                    return reply(statusText(prefix));
+            }
+        }
+    }
+};
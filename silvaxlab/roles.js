@@ -0,0 +1,72 @@
+// silvaxlab/roles.js - Manage sudo users and banned users
+const roles = require('../lib/roles.js');
+
+// Mentioned user first, then the author of a quoted message, then a number argument
+function getTarget(message, args) {
+    const contextInfo = message.message?.extendedTextMessage?.contextInfo || {};
+    const target = contextInfo.mentionedJid?.[0] || contextInfo.participant || args.join('');
+    return roles.normalizeJid(target);
+}
+
+const tag = jid => `@${jid.split('@')[0]}`;
+
+function listText(title, jids) {
+    if (!jids.length) return `${title}\n\n_none_`;
+    return `${title}\n\n${jids.map((jid, i) => `${i + 1}. ${tag(jid)}`).join('\n')}`;
+}
+
+module.exports = {
+    handler: {
+        command: /^(addsudo|delsudo|sudolist|ban|unban|banlist)$/i,
+        help: ['Add or remove sudo users and ban or unban users from the bot'],
+        tags: ['owner'],
+        group: false,
+        admin: false,
+        botAdmin: false,
+        owner: false,
+        role: 'sudo',
+
+        execute: async (context) => {
+            const { sock, message, jid, args, prefix, command, isOwner } = context;
+            const reply = (text, mentions = []) => sock.sendMessage(jid, { text, mentions, contextInfo: { ...context.contextInfo, mentionedJid: mentions } }, { quoted: message });
+
+            if (command === 'sudolist') {
+                const sudo = roles.getSudo();
+                return reply(listText('🛡️ *Sudo Users*', sudo), sudo);
+            }
+            if (command === 'banlist') {
+                const banned = roles.getBanned();
+                return reply(listText('⛔ *Banned Users*', banned), banned);
+            }
+
+            // Only owners hand out or take away sudo
+            if (/sudo$/.test(command) && !isOwner) return reply('👑 Owner only command');
+
+            const target = getTarget(message, args);
+            if (!target) return reply(`*Usage:* ${prefix}${command} <@user|number> (or reply to a message)`);
+
+            const role = roles.getRole(target);
+            switch (command) {
+                case 'addsudo':
+                    if (role === 'owner') return reply(`👑 ${tag(target)} is already an owner`, [target]);
+                    return reply(roles.addSudo(target)
+                        ? `✅ ${tag(target)} is now a sudo user`
+                        : `ℹ️ ${tag(target)} is already a sudo user`, [target]);
+                case 'delsudo':
+                    return reply(roles.removeSudo(target)
+                        ? `✅ ${tag(target)} is no longer a sudo user`
+                        : `ℹ️ ${tag(target)} is not a sudo user`, [target]);
+                case 'ban':
+                    if (role === 'owner') return reply('❌ Owners cannot be banned');
+                    if (role === 'sudo' && !isOwner) return reply('👑 Only an owner can ban a sudo user');
+                    return reply(roles.ban(target)
+                        ? `⛔ ${tag(target)} is banned from using the bot`
+                        : `ℹ️ ${tag(target)} is already banned`, [target]);
+                case 'unban':
+                    return reply(roles.unban(target)
+                        ? `✅ ${tag(target)} is unbanned`
+                        : `ℹ️ ${tag(target)} is not banned`, [target]);
+            }
+        }
+    }
+};
@@ -0,0 +1,189 @@
+// silvaxlab/schedule.js - Scheduled announcements and personal reminders
+const fs = require('fs');
+const path = require('path');
+const { downloadContentFromMessage } = require('@whiskeysockets/baileys');
+const { scheduler, parseWhen, mediaDir } = require('../lib/scheduler.js');
+const { normalizeJid } = require('../lib/roles.js');
+const { isGroupAdmin } = require('../lib/functions.js');
+
+const MAX_REMINDERS = 10;
+// Per-user limits for everyone but sudo users, since anyone can schedule in their own DM
+const MAX_SCHEDULES = 20;
+const MAX_MEDIA_SCHEDULES = 5;
+const MAX_MEDIA_BYTES = 16 * 1024 * 1024;
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+const formatTime = ts => new Date(ts).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+
+function usage(prefix) {
+    return `⏰ *Scheduler*
+
+• ${prefix}schedule <when> | <message> [| <number or JID>]
+• ${prefix}remind <when> <message>
+• ${prefix}jobs [all]
+• ${prefix}canceljob <id>
+
+*When:* 30m, 2h, 1d, 21:30, 2025-12-31 09:00,
+a cron expression (0 9 * * 1-5) or @daily / @weekly / @monthly
+
+Reply to an image, video, audio or document with ${prefix}schedule to schedule that media (the message becomes its caption).`;
+}
+
+// Media in the command message itself or in the message it replies to
+function findMedia(message) {
+    const own = message.message || {};
+    const quoted = own.extendedTextMessage?.contextInfo?.quotedMessage || {};
+    for (const source of [own, quoted]) {
+        for (const type of MEDIA_TYPES) {
+            if (source[`${type}Message`]) return { type, media: source[`${type}Message`] };
+        }
+    }
+    return null;
+}
+
+const tooLarge = () => new Error(`Media is over the ${MAX_MEDIA_BYTES / 1024 / 1024} MB limit for scheduled messages`);
+
+async function saveMedia({ type, media }, limit = Infinity) {
+    // fileLength may be a Long, so go through its string form
+    if (Number(String(media.fileLength || 0)) > limit) throw tooLarge();
+    const stream = await downloadContentFromMessage(media, type);
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of stream) {
+        size += chunk.length;
+        if (size > limit) {
+            stream.destroy?.();
+            throw tooLarge();
+        }
+        chunks.push(chunk);
+    }
+    const ext = (media.mimetype || '').split('/')[1]?.split(';')[0] || 'bin';
+    fs.mkdirSync(mediaDir, { recursive: true });
+    const file = path.join(mediaDir, `${Date.now()}-${Math.random().toString(36).slice(2, 6)}.${ext}`);
+    await fs.promises.writeFile(file, Buffer.concat(chunks));
+    return file;
+}
+
+function buildContent(found, file, text) {
+    if (!found) return { text };
+    const content = { [found.type]: { url: file } };
+    if (found.media.mimetype) content.mimetype = found.media.mimetype;
+    if (found.type === 'document') content.fileName = found.media.fileName || path.basename(file);
+    if (text && ['image', 'video', 'document'].includes(found.type)) content.caption = text;
+    return content;
+}
+
+function describe(job) {
+    const content = job.content || {};
+    const type = content.text !== undefined ? 'text' : Object.keys(content)[0];
+    const preview = (content.text || content.caption || `[${type}]`).replace(/\s+/g, ' ').slice(0, 40);
+    const when = job.cron ? `${job.cron} (next ${formatTime(job.nextRun)})` : formatTime(job.nextRun);
+    return `• *${job.id}* ${job.kind === 'reminder' ? '⏰' : '📅'} ${when}\n   ${preview}`;
+}
+
+module.exports = {
+    handler: {
+        command: /^(schedule|remind|jobs|canceljob)$/i,
+        help: ['Schedule one-off or recurring messages and set reminders'],
+        tags: ['tools'],
+        group: false,
+        admin: false,
+        botAdmin: false,
+        owner: false,
+
+        execute: async (context) => {
+            const { sock, message, jid, sender, args, text: raw, prefix, command, isGroup, isSudo, groupMetadata } = context;
+            const reply = (text, mentions = []) => sock.sendMessage(jid, { text, mentions, contextInfo: { ...context.contextInfo, mentionedJid: mentions } }, { quoted: message });
+            const isAdmin = isSudo || !isGroup || isGroupAdmin(groupMetadata?.participants, sender);
+            // Keep the raw text so messages may span several lines
+            const input = raw.slice(raw.toLowerCase().indexOf(command) + command.length).trim();
+
+            switch (command) {
+                case 'schedule': {
+                    const [whenText, body = '', targetText] = input.split('|').map(s => s.trim());
+                    if (!whenText) return reply(usage(prefix));
+                    if (!isAdmin) return reply('👮 Only group admins can schedule messages here');
+
+                    let when;
+                    try {
+                        when = parseWhen(whenText);
+                    } catch (e) {
+                        return reply(`❌ ${e.message}`);
+                    }
+                    if (!when) return reply(`❌ Could not understand "${whenText}"\n\n${usage(prefix)}`);
+                    if (when.at && when.at <= Date.now()) return reply('❌ That time is in the past');
+
+                    const target = targetText && targetText !== 'here' ? normalizeJid(targetText) : jid;
+                    if (!target) return reply('❌ Invalid target chat');
+                    if (target !== jid && !isSudo) return reply('🛡️ Only owners and sudo users can schedule to other chats');
+
+                    const found = findMedia(message);
+                    if (!found && !body) return reply('❌ Nothing to send: add a message after "|" or reply to media');
+
+                    if (!isSudo) {
+                        const mine = scheduler.list(job => job.kind === 'schedule' && job.createdBy === sender);
+                        if (mine.length >= MAX_SCHEDULES) return reply(`❌ You already have ${MAX_SCHEDULES} scheduled messages, cancel one with ${prefix}canceljob <id>`);
+                        if (found && mine.filter(job => job.media).length >= MAX_MEDIA_SCHEDULES) {
+                            return reply(`❌ You already have ${MAX_MEDIA_SCHEDULES} scheduled media messages, cancel one with ${prefix}canceljob <id>`);
+                        }
+                    }
+
+                    let file = null;
+                    try {
+                        if (found) file = await saveMedia(found, isSudo ? Infinity : MAX_MEDIA_BYTES);
+                        const job = scheduler.add({
+                            chat: target,
+                            content: buildContent(found, file, body),
+                            ...when,
+                            createdBy: sender,
+                            media: file
+                        });
+                        const where = target === jid ? 'this chat' : target.split('@')[0];
+                        return reply(`✅ Scheduled *${job.id}* to ${where}\n${job.cron ? `🔁 ${job.cron}, next run` : '🕒'} ${formatTime(job.nextRun)}`);
+                    } catch (e) {
+                        if (file) fs.promises.unlink(file).catch(() => {});
+                        return reply(`❌ ${e.message}`);
+                    }
+                }
+
+                case 'remind': {
+                    const [whenText = ''] = input.split(/\s+/);
+                    const text = input.slice(whenText.length).trim();
+                    if (!whenText || !text) return reply(`*Usage:* ${prefix}remind <30m|2h|21:30> <what to remind you of>`);
+
+                    const when = parseWhen(whenText);
+                    if (!when?.at) return reply(`❌ Could not understand "${whenText}", try 30m, 2h or 21:30`);
+                    if (when.at <= Date.now()) return reply('❌ That time is in the past');
+
+                    const mine = scheduler.list(job => job.kind === 'reminder' && job.createdBy === sender);
+                    if (!isSudo && mine.length >= MAX_REMINDERS) return reply(`❌ You already have ${MAX_REMINDERS} reminders, cancel one with ${prefix}canceljob <id>`);
+
+                    const job = scheduler.add({
+                        kind: 'reminder',
+                        chat: jid,
+                        content: { text: `⏰ *Reminder* @${sender.split('@')[0]}\n\n${text}`, mentions: [sender] },
+                        at: when.at,
+                        createdBy: sender
+                    });
+                    return reply(`✅ I'll remind you at ${formatTime(job.nextRun)} (id *${job.id}*)`);
+                }
+
+                case 'jobs': {
+                    const all = isSudo && args[0] === 'all';
+                    const jobs = scheduler.list(job => all || job.chat === jid);
+                    if (!jobs.length) return reply(`📭 No scheduled jobs${all ? '' : ' in this chat'}`);
+                    return reply(`📋 *Scheduled jobs${all ? '' : ' in this chat'}* (${jobs.length})\n\n${jobs.map(describe).join('\n')}\n\nCancel with ${prefix}canceljob <id>`);
+                }
+
+                case 'canceljob': {
+                    const job = scheduler.get((args[0] || '').toLowerCase());
+                    if (!job) return reply(`❌ No job with id "${args[0] || ''}"`);
+                    const allowed = isSudo || job.createdBy === sender || (job.chat === jid && isGroup && isAdmin);
+                    if (!allowed) return reply('❌ You can only cancel your own jobs');
+                    scheduler.cancel(job.id);
+                    return reply(`🗑️ Cancelled *${job.id}*`);
+                }
+            }
+        }
+    }
+};
@@ -0,0 +1,58 @@
+// silvaxlab/session.js - Session status and SESSION_ID export
+const { encodeSession, sessionInfo } = require('../lib/session.js');
+const { normalizeJid } = require('../lib/roles.js');
+
+const SOURCES = {
+    disk: 'saved session',
+    session_id: 'SESSION_ID',
+    login: 'QR / pairing login'
+};
+
+function statusText(prefix) {
+    const info = sessionInfo();
+    const updated = info.updatedAt ? new Date(info.updatedAt).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+    return `🔐 *Session*
+
+• *Account:* ${info.account || '—'}
+• *Loaded from:* ${SOURCES[info.source] || '—'}
+• *Creds:* ${info.status}, updated ${updated}
+• *Key files:* ${info.files}
+
+*Usage:*
+• ${prefix}session export`;
+}
+
+module.exports = {
+    handler: {
+        command: /^(session)$/i,
+        help: ['Show session status or export a fresh SESSION_ID'],
+        tags: ['owner'],
+        group: false,
+        admin: false,
+        botAdmin: false,
+        owner: true,
+
+        execute: async (context) => {
+            const { sock, message, jid, args, prefix } = context;
+            const reply = text => sock.sendMessage(jid, { text, contextInfo: context.contextInfo }, { quoted: message });
+
+            if ((args[0] || '').toLowerCase() !== 'export') return reply(statusText(prefix));
+
+            let sessionId;
+            try {
+                sessionId = encodeSession();
+            } catch (e) {
+                return reply(`❌ No session to export: ${e.message}`);
+            }
+
+            // Only ever to the bot's own chat: in groups, and in a DM the owner opens with
+            // someone else, the sender or the current chat would hand the account to another person
+            const self = normalizeJid(sock.user.id);
+            await sock.sendMessage(self, { text: sessionId });
+            await sock.sendMessage(self, {
+                text: '✅ Fresh SESSION_ID above. Replace the old one in config.env or your host so a redeploy starts from the current keys.\n\n⚠️ Anyone with it controls this WhatsApp account: never share it.'
+            });
+            if (jid !== self) return reply('📩 Sent to the bot\'s own chat (Message yourself)');
+        }
+    }
+};
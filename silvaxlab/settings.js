@@ -0,0 +1,67 @@
+// silvaxlab/settings.js - View and edit per-chat settings
+const settings = require('../lib/settings.js');
+
+function overview(jid, prefix) {
+    const rows = settings.listSettings(jid).map(({ key, value, overridden, def }) =>
+        `• *${key}:* ${settings.formatValue(value)}${overridden ? '' : ' _(default)_'}\n  _${def.description}_`);
+
+    return `⚙️ *Chat Settings*
+
+${rows.join('\n')}
+
+*Usage:*
+• ${prefix}settings <key> <value>
+• ${prefix}settings <key> reset
+
+*Examples:*
+• ${prefix}settings antilink on
+• ${prefix}settings prefix !
+• ${prefix}settings disabled ping,alive`;
+}
+
+module.exports = {
+    handler: {
+        command: /^(settings|setting)$/i,
+        help: ['View and change settings for this chat'],
+        tags: ['group'],
+        group: false,
+        admin: true,
+        botAdmin: false,
+        owner: false,
+
+        execute: async (context) => {
+            const { sock, message, jid, args, prefix, isGroup, isOwner } = context;
+            const reply = text => sock.sendMessage(jid, { text, contextInfo: context.contextInfo }, { quoted: message });
+
+            if (!isGroup && !isOwner) return reply('👑 Only the owner can change private chat settings');
+
+            const key = (args[0] || '').toLowerCase();
+            const raw = args.slice(1).join(' ');
+
+            if (!key) return reply(overview(jid, prefix));
+
+            const def = settings.SCHEMA[key];
+            if (!def || (def.groupOnly && !isGroup)) {
+                return reply(`❌ Unknown setting "${key}"\n\n${overview(jid, prefix)}`);
+            }
+            if (def.ownerOnly && !isOwner) return reply(`👑 Only the owner can change *${key}*`);
+
+            if (!raw) {
+                return reply(`*${key}:* ${settings.formatValue(settings.getSetting(jid, key))}` +
+                    `${settings.isOverridden(jid, key) ? '' : ' _(default)_'}\n_${def.description}_`);
+            }
+
+            if (raw.toLowerCase() === 'reset') {
+                settings.resetSetting(jid, key);
+                return reply(`♻️ *${key}* reset to default: ${settings.formatValue(settings.getSetting(jid, key))}`);
+            }
+
+            try {
+                const value = settings.setSetting(jid, key, raw);
+                return reply(`✅ *${key}* set to ${settings.formatValue(value)}`);
+            } catch (e) {
+                return reply(`❌ ${e.message}`);
+            }
+        }
+    }
+};
@@ -0,0 +1,60 @@
+// silvaxlab/setvar.js - List, read and change config values at runtime
+const configManager = require('../lib/configManager.js');
+
+function listText(prefix) {
+    const rows = configManager.listKeys().map(key => {
+        const { type } = configManager.getSchema(key);
+        return `• *${key}* _(${type})_: ${configManager.displayValue(key)}`;
+    });
+    return `⚙️ *Bot Configuration*
+
+${rows.join('\n')}
+
+*Usage:*
+• ${prefix}getvar <KEY>
+• ${prefix}setvar <KEY>=<value>
+• ${prefix}setvar <KEY>=none  _(clears API_KEY, WEBHOOK_URLS and other optional keys)_`;
+}
+
+module.exports = {
+    handler: {
+        command: /^(setvar|getvar|config)$/i,
+        help: ['View and change bot config at runtime'],
+        tags: ['owner'],
+        group: false,
+        admin: false,
+        botAdmin: false,
+        owner: true,
+
+        execute: async (context) => {
+            const { sock, message, jid, text, command, prefix } = context;
+            const reply = body => sock.sendMessage(jid, { text: body, contextInfo: context.contextInfo }, { quoted: message });
+
+            // Keep the raw text so values may contain spaces
+            const input = text.slice(text.toLowerCase().indexOf(command) + command.length).trim();
+
+            if (command === 'config') return reply(listText(prefix));
+
+            if (command === 'getvar') {
+                const key = input.toUpperCase();
+                const schema = configManager.getSchema(key);
+                if (!schema) return reply(`❌ Unknown key "${input}"\n\nUse ${prefix}config to list keys`);
+                const allowed = schema.values ? `\n*Allowed:* ${schema.values.join(', ')}` : '';
+                return reply(`*${key}* _(${schema.type})_\n${configManager.displayValue(key)}${allowed}`);
+            }
+
+            const match = /^([A-Za-z_][A-Za-z0-9_]*)\s*(?:=|\s)\s*([\s\S]*)$/.exec(input);
+            if (!match) return reply(`*Usage:* ${prefix}setvar <KEY>=<value>`);
+
+            const key = match[1].toUpperCase();
+            try {
+                const { restart, hostEnv } = configManager.setVar(key, match[2]);
+                return reply(`✅ *${key}* set to ${configManager.displayValue(key)}` +
+                    (restart ? '\n\n♻️ Restart the bot for this change to take effect.' : '') +
+                    (hostEnv ? `\n\n⚠️ Your host's environment also sets *${key}* and wins over config.env, so this only lasts until the next restart. Change it in the host settings to keep it.` : ''));
+            } catch (e) {
+                return reply(`❌ ${e.message}`);
+            }
+        }
+    }
+};
@@ -0,0 +1,77 @@
+// silvaxlab/stats.js - Command usage, errors and latency
+const { metrics } = require('../lib/metrics.js');
+const { formatDuration } = require('../lib/connection.js');
+
+const number = jid => jid.split('@')[0];
+const rate = (errors, calls) => (calls ? `${((errors / calls) * 100).toFixed(1)}%` : '0%');
+const latency = ms => (ms == null ? '—' : ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`);
+
+function overview(prefix) {
+    const s = metrics.summary();
+    const commands = metrics.top('commands', 8).map(c => [
+        `• ${prefix}${c.key}: ${c.calls}×`,
+        c.errors ? `(${c.errors} ❌)` : '',
+        c.avgMs != null ? `~${latency(c.avgMs)}` : ''
+    ].filter(Boolean).join(' '));
+    const chats = metrics.top('chats').map(c => `• ${number(c.key)}${c.key.endsWith('@g.us') ? ' 👥' : ''}: ${c.calls}×`);
+    const users = metrics.top('users').map(u => `• @${number(u.key)}: ${u.calls}×`);
+
+    return `📈 *Usage Stats* (last ${formatDuration(Date.now() - s.since)})
+
+• *Commands run:* ${s.calls}
+• *Errors:* ${s.errors} (${rate(s.errors, s.calls)})
+• *Avg latency:* ${latency(s.avgMs)}
+• *Distinct:* ${s.commands} command(s), ${s.chats} chat(s), ${s.users} user(s)
+
+*Top commands:*
+${commands.join('\n') || '_None yet_'}
+
+*Top chats:*
+${chats.join('\n') || '_None yet_'}
+
+*Top users:*
+${users.join('\n') || '_None yet_'}
+
+*Usage:*
+• ${prefix}stats <command>
+• ${prefix}stats reset`;
+}
+
+function commandDetail(prefix, name) {
+    const c = Object.hasOwn(metrics.commands, name) ? metrics.commands[name] : null;
+    if (!c) return `❌ No stats for *${prefix}${name}* yet`;
+    return `📈 *${prefix}${name}*
+
+• *Plugin:* ${c.plugin || '—'}
+• *Runs:* ${c.calls}
+• *Errors:* ${c.errors} (${rate(c.errors, c.calls)})
+• *Avg latency:* ${latency(c.timed ? Math.round(c.totalMs / c.timed) : null)}
+• *Slowest:* ${latency(c.timed ? c.maxMs : null)}
+• *Last used:* ${c.last ? new Date(c.last).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' }) : '—'}`;
+}
+
+module.exports = {
+    handler: {
+        command: /^(stats)$/i,
+        help: ['Show command usage, error and latency stats'],
+        tags: ['owner'],
+        group: false,
+        admin: false,
+        botAdmin: false,
+        owner: true,
+
+        execute: async (context) => {
+            const { sock, message, jid, args, prefix } = context;
+            const reply = (text, mentions = []) => sock.sendMessage(jid, { text, mentions, contextInfo: { ...context.contextInfo, mentionedJid: mentions } }, { quoted: message });
+            const arg = (args[0] || '').toLowerCase().replace(prefix, '');
+
+            if (!arg) return reply(overview(prefix), metrics.top('users').map(u => u.key));
+            if (arg === 'reset') {
+                metrics.reset();
+                metrics.save();
+                return reply('🗑️ Stats reset');
+            }
+            return reply(commandDetail(prefix, arg));
+        }
+    }
+};
@@ -8,11 +8,12 @@ module.exports = {
         admin: false,     // Doesn't require admin
         botAdmin: false,  // Bot doesn't need admin
         owner: false,     // Not owner only
+        cooldown: 10,     // Seconds a user must wait between uses
         
         execute: async (context) => {
-            const { sock, message, jid, sender, args, isGroup, isOwner } = context;
+            const { sock, message, jid, sender, args, isGroup, isOwner, groupMetadata } = context;
             
-            const metadata = await sock.groupMetadata(jid);
+            const metadata = groupMetadata || await sock.groupMetadata(jid);
             const groupName = metadata.subject || 'Unknown Group';
             const participants = metadata.participants.length;
             
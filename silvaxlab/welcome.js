@@ -0,0 +1,134 @@
+// silvaxlab/welcome.js - Per-group welcome and goodbye messages
+const config = require('../config.js');
+const database = require('../lib/database.js');
+const { parseToggle: onOff } = require('../lib/functions.js');
+const { groupCache } = require('../lib/groupCache.js');
+
+const DEFAULT_WELCOME = '👋 Welcome @user to *{group}*!\nYou are member #{count}.\n\n📜 {desc}';
+const DEFAULT_GOODBYE = '👋 Goodbye @user, we will miss you in *{group}*.\nWe are now {count} members.';
+
+function getSettings(jid) {
+    const chat = database.getChat(jid);
+    return {
+        welcome: {
+            enabled: chat.welcome?.enabled ?? config.WELCOME_MSG,
+            text: chat.welcome?.text || DEFAULT_WELCOME,
+            picture: chat.welcome?.picture ?? true
+        },
+        goodbye: {
+            enabled: chat.goodbye?.enabled ?? config.GOODBYE_MSG,
+            text: chat.goodbye?.text || DEFAULT_GOODBYE,
+            picture: chat.goodbye?.picture ?? false
+        }
+    };
+}
+
+function updateSection(jid, section, patch) {
+    const current = database.getChat(jid)[section] || {};
+    database.updateChat(jid, { [section]: { ...current, ...patch } });
+}
+
+/**
+ * Fill a welcome/goodbye template
+ * @param {string} template - supports @user, {group}, {count}, {desc}
+ * @param {object} data - { userJid, metadata }
+ * @returns {string}
+ */
+function renderTemplate(template, { userJid, metadata }) {
+    return template
+        .replace(/@user/g, `@${userJid.split('@')[0]}`)
+        .replace(/\{group\}/g, metadata?.subject || 'this group')
+        .replace(/\{count\}/g, String(metadata?.participants?.length ?? ''))
+        .replace(/\{desc\}/g, metadata?.desc?.toString() || '');
+}
+
+const participantJid = p => (typeof p === 'string' ? p : p?.phoneNumber || p?.id);
+
+function usage(prefix) {
+    return `*Usage:*
+• ${prefix}welcome <on|off>
+• ${prefix}welcome pp <on|off>
+• ${prefix}setwelcome <text|reset>
+• ${prefix}goodbye <on|off>
+• ${prefix}goodbye pp <on|off>
+• ${prefix}setgoodbye <text|reset>
+
+*Placeholders:* @user, {group}, {count}, {desc}`;
+}
+
+module.exports = {
+    handler: {
+        command: /^(welcome|goodbye|setwelcome|setgoodbye)$/i,
+        help: ['Configure welcome and goodbye messages'],
+        tags: ['group'],
+        group: true,
+        admin: true,
+        botAdmin: false,
+        owner: false,
+
+        execute: async (context) => {
+            const { sock, message, jid, args, text: raw, command, prefix } = context;
+            const reply = text => sock.sendMessage(jid, { text, contextInfo: context.contextInfo }, { quoted: message });
+
+            const section = command.replace(/^set/, '');
+            const settings = getSettings(jid)[section];
+
+            if (command.startsWith('set')) {
+                // Keep the raw text so the message may span several lines
+                const text = raw.slice(raw.toLowerCase().indexOf(command) + command.length).trim();
+                if (!text) return reply(usage(prefix));
+                updateSection(jid, section, { text: text.toLowerCase() === 'reset' ? null : text });
+                return reply(`✅ ${section === 'welcome' ? 'Welcome' : 'Goodbye'} message ${text.toLowerCase() === 'reset' ? 'reset to default' : 'updated'}`);
+            }
+
+            const [option, value] = args.map(a => a.toLowerCase());
+
+            if (option === 'pp' && onOff(value) !== null) {
+                updateSection(jid, section, { picture: onOff(value) });
+                return reply(`✅ Profile picture ${onOff(value) ? 'enabled' : 'disabled'} for ${section} messages`);
+            }
+
+            if (onOff(option) !== null) {
+                updateSection(jid, section, { enabled: onOff(option) });
+                return reply(`✅ ${section === 'welcome' ? 'Welcome' : 'Goodbye'} messages ${onOff(option) ? 'enabled' : 'disabled'}`);
+            }
+
+            return reply(`*${section === 'welcome' ? '👋 Welcome' : '🚪 Goodbye'} Settings*
+
+• *Enabled:* ${settings.enabled ? '✅' : '❌'}
+• *Profile picture:* ${settings.picture ? '✅' : '❌'}
+• *Message:*
+${settings.text}
+
+${usage(prefix)}`);
+        },
+
+        onGroupParticipantsUpdate: async (ctx) => {
+            const { sock, jid, action, participants } = ctx;
+            const section = action === 'add' ? 'welcome' : action === 'remove' ? 'goodbye' : null;
+            if (!section) return;
+
+            const settings = getSettings(jid)[section];
+            if (!settings.enabled) return;
+
+            const metadata = ctx.groupMetadata || await groupCache.fetch(sock, jid).catch(() => null);
+            const botId = sock.user?.id?.replace(/:\d+(?=@)/, '');
+
+            for (const participant of participants) {
+                const userJid = participantJid(participant);
+                if (!userJid || userJid === botId) continue;
+
+                const text = renderTemplate(settings.text, { userJid, metadata });
+                let image = null;
+                if (settings.picture) {
+                    image = await sock.profilePictureUrl(userJid, 'image').catch(() => null);
+                }
+
+                const content = image
+                    ? { image: { url: image }, caption: text, mentions: [userJid] }
+                    : { text, mentions: [userJid] };
+                await sock.sendMessage(jid, { ...content, contextInfo: { ...ctx.contextInfo, mentionedJid: [userJid] } });
+            }
+        }
+    }
+};
@@ -0,0 +1,61 @@
+// test/configManager.test.js — Config value validation and config.env quoting
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const dotenv = require('dotenv');
+const { getSchema, parseValue, quoteEnv, displayValue } = require('../lib/configManager.js');
+const config = require('../config.js');
+
+test('getSchema infers types from defaults and knows overrides', () => {
+    assert.equal(getSchema('ANTI_BAD').type, 'bool');
+    assert.equal(getSchema('RATE_LIMIT_BURST').type, 'number');
+    assert.equal(getSchema('BOT_NAME').type, 'string');
+    assert.deepEqual(getSchema('MODE').values, ['both', 'public', 'private']);
+    assert.ok(getSchema('LOG_LEVEL').values.includes('trace'));
+    assert.equal(getSchema('NOT_A_KEY'), null);
+});
+
+test('parseValue validates each type', () => {
+    assert.deepEqual(parseValue('ANTI_BAD', 'on'), { value: true, env: 'true' });
+    assert.deepEqual(parseValue('ANTI_BAD', 'off'), { value: false, env: 'false' });
+    assert.throws(() => parseValue('ANTI_BAD', 'maybe'));
+    assert.deepEqual(parseValue('RATE_LIMIT_BURST', ' 8 '), { value: 8, env: '8' });
+    assert.throws(() => parseValue('RATE_LIMIT_BURST', ''), /must be a number/);
+    assert.deepEqual(parseValue('MODE', 'PUBLIC'), { value: 'public', env: 'public' });
+    assert.throws(() => parseValue('MODE', 'everyone'), /must be one of/);
+    assert.deepEqual(parseValue('CUSTOM_REACT_EMOJIS', '❤️, 🔥,,'), { value: '❤️,🔥', env: '❤️,🔥' });
+    assert.throws(() => parseValue('OWNER_NUMBER', '+254 700'), /digits only/);
+    assert.throws(() => parseValue('BOT_NAME', '  '), /cannot be empty/);
+    assert.throws(() => parseValue('NOT_A_KEY', 'x'), /Unknown config key/);
+});
+
+test('parseValue clears optional keys with an empty value or none', () => {
+    assert.deepEqual(parseValue('API_KEY', ''), { value: '', env: '' });
+    assert.deepEqual(parseValue('WEBHOOK_URLS', 'None'), { value: '', env: '' });
+    assert.deepEqual(parseValue('PAIRING_NUMBER', 'none'), { value: '', env: '' });
+    assert.throws(() => parseValue('PAIRING_NUMBER', '12'), /digits only/);
+});
+
+test('quoteEnv output reads back unchanged through dotenv', () => {
+    const values = ['plain', 'two words', 'he said "hi"', "it's", 'back\\slash', 'a # not a comment', 'tab\\n literal', `both ' and "`];
+    for (const value of values) {
+        const parsed = dotenv.parse(`KEY=${quoteEnv(value)}\n`).KEY;
+        assert.equal(parsed, value, `round trip of ${JSON.stringify(value)}`);
+    }
+});
+
+test('quoteEnv rejects values dotenv cannot hold', () => {
+    assert.throws(() => quoteEnv('two\nlines'), /line breaks/);
+    assert.throws(() => quoteEnv(`' \` "`), /cannot contain/);
+});
+
+test('displayValue never shows secrets', () => {
+    const saved = config.API_KEY;
+    try {
+        config.API_KEY = 'abcdefghijkl';
+        assert.equal(displayValue('API_KEY'), '••••••');
+        config.API_KEY = '';
+        assert.equal(displayValue('API_KEY'), '(empty)');
+    } finally {
+        config.API_KEY = saved;
+    }
+});
@@ -0,0 +1,35 @@
+// test/logger.test.js — Reading log files backwards
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { linesFromEnd } = require('../lib/logger.js');
+
+// Write `text` to a temporary file and return its lines from last to first
+function readBack(text) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'silva-log-'));
+    const file = path.join(dir, 'test.log');
+    try {
+        fs.writeFileSync(file, text);
+        return [...linesFromEnd(file)];
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('linesFromEnd yields lines newest first', () => {
+    assert.deepEqual(readBack('one\ntwo\nthree\n'), ['', 'three', 'two', 'one']);
+    assert.deepEqual(readBack(''), []);
+});
+
+test('linesFromEnd keeps a last line without a trailing newline', () => {
+    assert.deepEqual(readBack('one\ntwo'), ['two', 'one']);
+    assert.deepEqual(readBack('only'), ['only']);
+});
+
+test('linesFromEnd keeps multi-byte text intact across chunk boundaries', () => {
+    // Lines longer than a 64 KB chunk, so characters are split between reads
+    const lines = ['é'.repeat(40000), '🔥'.repeat(20000), 'ascii', '日本語'.repeat(15000)];
+    assert.deepEqual(readBack(lines.join('\n')), [...lines].reverse());
+});
@@ -0,0 +1,65 @@
+// test/prefix.test.js — Prefix lists, @mention and prefix-less command parsing
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config.js');
+const { DEFAULT_PREFIXES, parsePrefixes, botIds, mentionsBot, noPrefixCommands, parseCommand } = require('../lib/prefix.js');
+
+const BOT = '254700000009';
+const prefixes = ['.', '!'];
+
+test('parsePrefixes splits, dedupes and falls back to the defaults', () => {
+    assert.deepEqual(parsePrefixes('! . !'), ['!', '.']);
+    assert.deepEqual(parsePrefixes(['#', ' ', '#']), ['#']);
+    assert.deepEqual(parsePrefixes(''), DEFAULT_PREFIXES);
+    assert.deepEqual(parsePrefixes(undefined), DEFAULT_PREFIXES);
+});
+
+test('parseCommand strips the prefix that was used', () => {
+    assert.deepEqual(parseCommand('.menu', { prefixes }), { prefix: '.', text: 'menu', trigger: 'prefix' });
+    assert.deepEqual(parseCommand('  !play  despacito ', { prefixes }), { prefix: '!', text: 'play  despacito', trigger: 'prefix' });
+});
+
+test('parseCommand prefers the longest matching prefix', () => {
+    assert.deepEqual(parseCommand('!!ping', { prefixes: ['!', '!!'] }), { prefix: '!!', text: 'ping', trigger: 'prefix' });
+});
+
+test('parseCommand ignores a bare prefix and plain text', () => {
+    assert.equal(parseCommand('.', { prefixes }), null);
+    assert.equal(parseCommand('. ', { prefixes }), null);
+    assert.equal(parseCommand('hello there', { prefixes }), null);
+    assert.equal(parseCommand('', { prefixes }), null);
+});
+
+test('parseCommand accepts @mentions of the bot only', () => {
+    const mentionIds = [BOT];
+    assert.deepEqual(parseCommand(`@${BOT} menu`, { prefixes, mentionIds }), { prefix: '.', text: 'menu', trigger: 'mention' });
+    assert.deepEqual(parseCommand(`@${BOT} !menu`, { prefixes, mentionIds }), { prefix: '!', text: 'menu', trigger: 'mention' });
+    assert.equal(parseCommand('@254711111111 menu', { prefixes, mentionIds }), null);
+    assert.equal(parseCommand(`@${BOT}`, { prefixes, mentionIds }), null);
+});
+
+test('parseCommand runs prefix-less commands only when allowed', () => {
+    const isNoPrefix = name => name === 'menu';
+    assert.deepEqual(parseCommand('Menu please', { prefixes, isNoPrefix }), { prefix: '.', text: 'Menu please', trigger: 'noprefix' });
+    assert.equal(parseCommand('ping', { prefixes, isNoPrefix }), null);
+});
+
+test('botIds and mentionsBot match the number and LID without devices', () => {
+    const ids = botIds({ user: { id: `${BOT}:3@s.whatsapp.net`, lid: '987654321@lid' } });
+    assert.deepEqual(ids, [BOT, '987654321']);
+    assert.deepEqual(botIds(null), []);
+
+    const message = { extendedTextMessage: { text: '@987654321 hi', contextInfo: { mentionedJid: ['987654321:1@lid'] } } };
+    assert.equal(mentionsBot(message, ids), true);
+    assert.equal(mentionsBot({ conversation: 'hi' }, ids), false);
+});
+
+test('noPrefixCommands reads NO_PREFIX_COMMANDS', () => {
+    const saved = config.NO_PREFIX_COMMANDS;
+    config.NO_PREFIX_COMMANDS = ' Menu, alive ,,';
+    try {
+        assert.deepEqual(noPrefixCommands(), ['menu', 'alive']);
+    } finally {
+        config.NO_PREFIX_COMMANDS = saved;
+    }
+});
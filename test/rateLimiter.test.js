@@ -0,0 +1,76 @@
+// test/rateLimiter.test.js — Token buckets, cooldowns and flood blocking
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenBucket, RateLimiter, formatLimitMessage } = require('../lib/rateLimiter.js');
+
+const USER = '254700000002@s.whatsapp.net';
+const limiter = options => new RateLimiter({ enabled: true, burst: 3, refillMs: 10000, floodLimit: 0, floodWindowMs: 10000, floodBlockMs: 60000, noticeMs: 30000, ...options });
+
+// Pretend `ms` passed since the bucket was last read
+const age = (bucket, ms) => { bucket.updated -= ms; };
+
+test('TokenBucket allows a burst, then refills one token per interval', () => {
+    const bucket = new TokenBucket(2, 1000);
+    assert.equal(bucket.take(), true);
+    assert.equal(bucket.take(), true);
+    assert.equal(bucket.take(), false);
+    assert.ok(bucket.retryAfter() > 0 && bucket.retryAfter() <= 1000);
+
+    age(bucket, 1000);
+    assert.equal(bucket.take(), true);
+    assert.equal(bucket.take(), false);
+
+    age(bucket, 60000);
+    assert.equal(bucket.idle, true);
+    assert.equal(bucket.tokens, 2);
+});
+
+test('TokenBucket without a refill interval never runs dry', () => {
+    const bucket = new TokenBucket(1, 0);
+    for (let i = 0; i < 5; i++) assert.equal(bucket.take(), true);
+});
+
+test('RateLimiter limits each user to the burst', () => {
+    const rl = limiter();
+    for (let i = 0; i < 3; i++) assert.deepEqual(rl.check(USER, 'ping'), { allowed: true });
+    const denied = rl.check(USER, 'ping');
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.reason, 'rate');
+    assert.equal(denied.notify, true);
+    // Only one "slow down" reply per notice window
+    assert.equal(rl.check(USER, 'ping').notify, false);
+    assert.equal(rl.check('other@s.whatsapp.net', 'ping').allowed, true);
+});
+
+test('RateLimiter applies per-command cooldowns', () => {
+    const rl = limiter();
+    assert.equal(rl.check(USER, 'play', 30).allowed, true);
+    const denied = rl.check(USER, 'play', 30);
+    assert.equal(denied.reason, 'cooldown');
+    assert.ok(denied.retryAfter > 29000);
+    assert.equal(rl.check(USER, 'ping', 30).allowed, true);
+
+    age(rl.commandBuckets.get(`${USER}|play`), 30000);
+    assert.equal(rl.check(USER, 'play', 30).allowed, true);
+});
+
+test('RateLimiter blocks flooding users for the block time', () => {
+    const rl = limiter({ burst: 100, floodLimit: 3 });
+    for (let i = 0; i < 3; i++) assert.equal(rl.check(USER, 'ping').allowed, true);
+    const flood = rl.check(USER, 'ping');
+    assert.deepEqual(flood, { allowed: false, reason: 'flood', retryAfter: 60000, notify: true });
+    const again = rl.check(USER, 'ping');
+    assert.equal(again.reason, 'flood');
+    assert.equal(again.notify, false);
+});
+
+test('RateLimiter lets everything through when disabled', () => {
+    const rl = limiter({ enabled: false, burst: 1 });
+    for (let i = 0; i < 5; i++) assert.equal(rl.check(USER, 'ping').allowed, true);
+});
+
+test('formatLimitMessage rounds up to whole seconds', () => {
+    assert.match(formatLimitMessage({ reason: 'cooldown', retryAfter: 1200 }, '.play'), /wait 2s before using \*\.play\*/);
+    assert.match(formatLimitMessage({ reason: 'flood', retryAfter: 60000 }, '.x'), /ignore you for 60s/);
+    assert.match(formatLimitMessage({ reason: 'rate', retryAfter: 10 }, '.x'), /try again in 1s/);
+});
@@ -0,0 +1,87 @@
+// test/roles.test.js — JID normalisation, sender resolution and roles
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config.js');
+const roles = require('../lib/roles.js');
+
+const OWNER = '254700000001@s.whatsapp.net';
+const USER = '254700000002@s.whatsapp.net';
+const LID = '123456789012345@lid';
+
+config.OWNER_NUMBER = '254700000001';
+config.OWNERS = '';
+
+test('normalizeJid strips devices and maps c.us', () => {
+    assert.equal(roles.normalizeJid('254700000002:12@s.whatsapp.net'), USER);
+    assert.equal(roles.normalizeJid('254700000002@c.us'), USER);
+    assert.equal(roles.normalizeJid('+254 700 000 002'), USER);
+    assert.equal(roles.normalizeJid(`${LID.replace('@', ':3@')}`), LID);
+    assert.equal(roles.normalizeJid(''), '');
+    assert.equal(roles.normalizeJid('@s.whatsapp.net'), '');
+    assert.equal(roles.normalizeJid('no digits'), '');
+});
+
+test('parseOwners reads the talkdrove.json format', () => {
+    assert.deepEqual(roles.parseOwners('254700000003;Ann, 254700000004'), [
+        '254700000003@s.whatsapp.net',
+        '254700000004@s.whatsapp.net'
+    ]);
+    assert.deepEqual(roles.parseOwners(''), []);
+});
+
+test('resolveSender uses the participant in groups, never the group', async () => {
+    const sender = await roles.resolveSender(null, { key: { remoteJid: '1203630@g.us', participant: '254700000002:5@s.whatsapp.net' } });
+    assert.equal(sender.jid, USER);
+    assert.deepEqual(sender.ids, [USER]);
+    assert.equal(sender.fromMe, false);
+});
+
+test('resolveSender prefers the phone number of a LID sender', async () => {
+    const sender = await roles.resolveSender(null, { key: { remoteJid: '1203630@g.us', participant: LID, participantPn: USER } });
+    assert.equal(sender.jid, USER);
+    assert.ok(sender.ids.includes(LID));
+});
+
+test('resolveSender falls back to the socket LID mapping', async () => {
+    const sock = { signalRepository: { lidMapping: { getPNForLID: async lid => (lid === LID ? USER : null) } } };
+    const sender = await roles.resolveSender(sock, { key: { remoteJid: LID } });
+    assert.equal(sender.jid, USER);
+    assert.deepEqual(sender.ids, [LID, USER]);
+});
+
+test('resolveSender adds the bot identities for its own messages', async () => {
+    const sock = { user: { id: '254700000009:2@s.whatsapp.net' } };
+    const sender = await roles.resolveSender(sock, { key: { remoteJid: USER, fromMe: true } });
+    assert.equal(sender.fromMe, true);
+    assert.ok(sender.ids.includes('254700000009@s.whatsapp.net'));
+});
+
+test('getRole ranks owner, banned, sudo, admin and user', () => {
+    assert.equal(roles.getRole(OWNER), 'owner');
+    assert.equal(roles.getRole({ ids: [USER], fromMe: true }), 'owner');
+    assert.equal(roles.getRole(USER), 'user');
+    assert.equal(roles.getRole(USER, { isAdmin: true }), 'admin');
+
+    assert.equal(roles.addSudo(USER), true);
+    assert.equal(roles.addSudo(USER), false);
+    assert.equal(roles.getRole(USER), 'sudo');
+    roles.ban(USER);
+    assert.equal(roles.getRole(USER), 'banned');
+    roles.unban(USER);
+    roles.removeSudo(USER);
+    assert.equal(roles.getRole(USER), 'user');
+});
+
+test('owners can never be banned', () => {
+    roles.ban(OWNER);
+    assert.equal(roles.getRole(OWNER), 'owner');
+    roles.unban(OWNER);
+});
+
+test('hasRole compares levels, unknown requirements need owner', () => {
+    assert.equal(roles.hasRole('sudo', 'admin'), true);
+    assert.equal(roles.hasRole('admin', 'sudo'), false);
+    assert.equal(roles.hasRole('banned'), false);
+    assert.equal(roles.hasRole('sudo', 'nonsense'), false);
+    assert.equal(roles.hasRole('owner', 'nonsense'), true);
+});
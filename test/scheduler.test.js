@@ -0,0 +1,113 @@
+// test/scheduler.test.js — Time and cron parsing, and running due jobs
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Scheduler, parseCron, nextCronRun, parseDuration, parseWhen } = require('../lib/scheduler.js');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+// Thursday 15 January 2026, 12:00 server time
+const now = new Date(2026, 0, 15, 12, 0).getTime();
+const at = (...parts) => new Date(...parts).getTime();
+
+test('parseDuration sums units and rejects anything else', () => {
+    assert.equal(parseDuration('90s'), 90 * 1000);
+    assert.equal(parseDuration('1h30m'), 90 * MINUTE);
+    assert.equal(parseDuration('2D'), 48 * HOUR);
+    assert.equal(parseDuration('1w'), 7 * 24 * HOUR);
+    assert.equal(parseDuration('0m'), null);
+    assert.equal(parseDuration('90'), null);
+    assert.equal(parseDuration('soon'), null);
+});
+
+test('parseWhen handles durations and times of day', () => {
+    assert.deepEqual(parseWhen('2h', now), { at: now + 2 * HOUR });
+    assert.deepEqual(parseWhen('13:30', now), { at: at(2026, 0, 15, 13, 30) });
+    // Earlier today means tomorrow
+    assert.deepEqual(parseWhen('11:00', now), { at: at(2026, 0, 16, 11, 0) });
+    assert.deepEqual(parseWhen('12:00', now), { at: at(2026, 0, 16, 12, 0) });
+});
+
+test('parseWhen handles dates, with or without a time', () => {
+    assert.deepEqual(parseWhen('2026-12-31 09:05', now), { at: at(2026, 11, 31, 9, 5) });
+    assert.deepEqual(parseWhen('2026-3-1', now), { at: at(2026, 2, 1) });
+    assert.deepEqual(parseWhen('2028-02-29 10:00', now), { at: at(2028, 1, 29, 10, 0) });
+    // Dates in the past are returned as they are; callers reject them
+    assert.deepEqual(parseWhen('2020-01-01', now), { at: at(2020, 0, 1) });
+});
+
+test('parseWhen rejects impossible dates and times instead of rolling them over', () => {
+    assert.equal(parseWhen('2026-02-31 10:00', now), null);
+    assert.equal(parseWhen('2027-02-29', now), null);
+    assert.equal(parseWhen('2026-04-31', now), null);
+    assert.equal(parseWhen('2026-13-01', now), null);
+    assert.equal(parseWhen('2026-00-10', now), null);
+    assert.equal(parseWhen('24:00', now), null);
+    assert.equal(parseWhen('10:60', now), null);
+});
+
+test('parseWhen accepts cron expressions and macros', () => {
+    assert.deepEqual(parseWhen('0 9 * * 1-5', now), { cron: '0 9 * * 1-5' });
+    assert.deepEqual(parseWhen('cron */15 * * * *', now), { cron: '*/15 * * * *' });
+    assert.deepEqual(parseWhen('@daily', now), { cron: '@daily' });
+    assert.throws(() => parseWhen('61 * * * *', now), /minute out of range/);
+    assert.equal(parseWhen('whenever', now), null);
+    assert.equal(parseWhen('', now), null);
+});
+
+test('parseCron rejects malformed expressions', () => {
+    assert.throws(() => parseCron('* * * *'), /5 fields/);
+    assert.throws(() => parseCron('* * * * mon'), /Invalid weekday/);
+    assert.throws(() => parseCron('5-1 * * * *'), /out of range/);
+    assert.throws(() => parseCron('*/0 * * * *'), /out of range/);
+});
+
+test('nextCronRun finds the next matching minute', () => {
+    assert.equal(nextCronRun('*/15 * * * *', now), at(2026, 0, 15, 12, 15));
+    assert.equal(nextCronRun('0 9 * * 1-5', now), at(2026, 0, 16, 9, 0));
+    assert.equal(nextCronRun('@monthly', now), at(2026, 1, 1, 0, 0));
+    assert.equal(nextCronRun('30 8 1 1 *', now), at(2027, 0, 1, 8, 30));
+    // 7 is Sunday as well as 0
+    assert.equal(nextCronRun('0 0 * * 7', now), at(2026, 0, 18, 0, 0));
+});
+
+test('nextCronRun matches either day field when both are restricted', () => {
+    // The 20th or any Friday: Friday the 16th comes first
+    assert.equal(nextCronRun('0 0 20 * 5', now), at(2026, 0, 16, 0, 0));
+});
+
+test('nextCronRun gives up on dates that never exist', () => {
+    assert.equal(nextCronRun('0 0 31 2 *', now), null);
+});
+
+test('Scheduler sends due jobs and keeps recurring ones', async () => {
+    const scheduler = new Scheduler();
+    const sent = [];
+    scheduler.getSock = () => ({ sendMessage: async (jid, content) => sent.push([jid, content.text]) });
+
+    const once = scheduler.add({ chat: 'a@s.whatsapp.net', content: { text: 'once' }, at: Date.now() + HOUR });
+    const daily = scheduler.add({ chat: 'b@g.us', content: { text: 'daily' }, cron: '@daily' });
+    try {
+        once.nextRun = Date.now() - 1;
+        daily.nextRun = Date.now() - 1;
+        await scheduler.tick();
+
+        assert.deepEqual(sent.sort(), [['a@s.whatsapp.net', 'once'], ['b@g.us', 'daily']]);
+        assert.equal(scheduler.get(once.id), null);
+        assert.ok(scheduler.get(daily.id).nextRun > Date.now());
+    } finally {
+        scheduler.cancel(once.id);
+        scheduler.cancel(daily.id);
+    }
+});
+
+test('Scheduler drops a one-off job after repeated failures', async () => {
+    const scheduler = new Scheduler();
+    scheduler.getSock = () => ({ sendMessage: async () => { throw new Error('offline'); } });
+    const job = scheduler.add({ chat: 'a@s.whatsapp.net', content: { text: 'x' }, at: Date.now() - 1 });
+    try {
+        for (let i = 0; i < 3; i++) await scheduler.tick();
+        assert.equal(scheduler.get(job.id), null);
+    } finally {
+        scheduler.cancel(job.id);
+    }
+});
@@ -1,5 +1,7 @@
 // utils/safeSend.js
 const { isJidGroup } = require('@whiskeysockets/baileys');
+const { groupCache } = require('../lib/groupCache.js');
+const { messageQueue } = require('../lib/messageQueue.js');
 
 /**
  * Delay helper
@@ -14,7 +16,7 @@ const delay = ms => new Promise(res => setTimeout(res, ms));
 async function warmupGroup(sock, groupJid) {
     let metadata;
     try {
-        metadata = await sock.groupMetadata(groupJid);
+        metadata = await groupCache.fetch(sock, groupJid);
     } catch (err) {
         console.warn(`⚠️ Could not fetch group metadata for ${groupJid}: ${err.message}`);
         return;
@@ -34,36 +36,28 @@ async function warmupGroup(sock, groupJid) {
 
 /**
  * Safe send wrapper
- * - Groups: warm up all participant sessions first
+ * - Goes through the shared outbound queue (per-chat order, pacing, bounded retry)
+ * - Groups: warm up all participant sessions before each attempt
  * - Privates: presenceSubscribe the single peer
- * - Retries only on likely session issues
  */
-async function safeSend(sock, jid, content, options = {}, retries = 3) {
-    for (let attempt = 1; attempt <= retries; attempt++) {
-        try {
-            if (isJidGroup(jid)) {
-                await warmupGroup(sock, jid);
-            } else {
-                try { await sock.presenceSubscribe(jid); } catch {}
-                await delay(250);
-            }
-
-            return await sock.sendMessage(jid, content, options);
-
-        } catch (err) {
-            const msg = err?.message || String(err);
-            const isSessionIssue = /no sessions?/i.test(msg) ||
-                                   /closing open session/i.test(msg);
-
-            if (!isSessionIssue || attempt === retries) {
-                // Non-session errors or final failure — bubble it up
-                throw err;
-            }
-
-            console.warn(`⚠️ safeSend retry ${attempt}/${retries} for ${jid}: ${msg}`);
-            await delay(600);
+async function safeSend(sock, jid, content, options = {}) {
+    // Resolved per attempt so a job queued before a reconnect uses the new socket.
+    // The queued sock.sendMessage would wait behind this very job, so use the raw send.
+    const current = () => messageQueue.socket(sock);
+    const send = (...args) => {
+        const live = current();
+        return live.sendMessageNow ? live.sendMessageNow(...args) : live.sendMessage(...args);
+    };
+    const prepare = async () => {
+        const live = current();
+        if (isJidGroup(jid)) {
+            await warmupGroup(live, jid);
+        } else {
+            try { await live.presenceSubscribe(jid); } catch {}
+            await delay(250);
         }
-    }
+    };
+    return messageQueue.enqueue(send, jid, content, options, { prepare });
 }
 
 module.exports = { safeSend, delay, warmupGroup };